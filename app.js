@@ -4,6 +4,7 @@ const axios = require('axios');
 const OpenAI = require('openai');
 const cors = require('cors');
 const path = require('path');
+const { applyLossEstimate } = require('./lib/lossEstimate');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -548,7 +549,7 @@ app.post('/analyze', async (req, res) => {
 
     // Combine all batch analyses into a final comprehensive analysis
     console.log('Combining batch analyses...');
-    const finalAnalysis = combineAnalyses(allAnalyses, allSearchResults.length);
+    const finalAnalysis = applyLossEstimate(combineAnalyses(allAnalyses, allSearchResults.length), null);
     console.log(`[FINAL ANALYSIS] Combined ${allAnalyses.length} batch analyses`);
 
     // Step 3: Return results
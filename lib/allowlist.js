@@ -0,0 +1,109 @@
+const { getDatabase } = require('./firebase');
+const { WORK_ID_PATTERN, getWork } = require('./works');
+const { isChannelId, describeChannelIdFormats } = require('./platforms');
+
+// Channels a user has licensed or otherwise authorised, at
+// users/<uid>/allowlist/<entryId>. An entry covers every work, or only the
+// work named by workId, until expiresAt. Scans rate allowlisted uploads Low
+// without asking the model. Only written through /allowlist.
+const MAX_TEXT_LENGTH = 200;
+const MAX_NOTES_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function allowlistRef(uid) {
+  return getDatabase().ref(`users/${uid}/allowlist`);
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Returns { entry, errors }. entry is only set when errors is empty.
+function validateEntry(input) {
+  const body = input || {};
+  const errors = [];
+
+  const entry = {
+    channelId: toText(body.channelId),
+    channelTitle: toText(body.channelTitle),
+    workId: toText(body.workId) || null,
+    notes: toText(body.notes),
+    // A date-only expiry lasts until the end of that day (UTC)
+    expiresAt: toText(body.expiresAt) || null
+  };
+
+  if (!isChannelId(entry.channelId)) {
+    errors.push(`channelId must be a channel ID (${describeChannelIdFormats()})`);
+  }
+  // workId becomes part of a database path
+  if (entry.workId && !WORK_ID_PATTERN.test(entry.workId)) {
+    errors.push('workId is not a valid work ID');
+  }
+  if (entry.channelTitle.length > MAX_TEXT_LENGTH) {
+    errors.push(`channelTitle must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (entry.notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  if (entry.expiresAt) {
+    if (DATE_PATTERN.test(entry.expiresAt)) {
+      entry.expiresAt = `${entry.expiresAt}T23:59:59.999Z`;
+    }
+    if (isNaN(new Date(entry.expiresAt))) {
+      errors.push('expiresAt must be a date in YYYY-MM-DD format');
+    } else {
+      entry.expiresAt = new Date(entry.expiresAt).toISOString();
+    }
+  }
+
+  return errors.length > 0 ? { entry: null, errors } : { entry, errors };
+}
+
+function isActive(entry, now = new Date()) {
+  return !entry.expiresAt || new Date(entry.expiresAt) > now;
+}
+
+async function listAllowlist(uid) {
+  const snapshot = await allowlistRef(uid).once('value');
+  const entries = snapshot.val() || {};
+  return Object.keys(entries)
+    .map(id => ({ id, ...entries[id], active: isActive(entries[id]) }))
+    .sort((a, b) => (a.channelTitle || a.channelId).localeCompare(b.channelTitle || b.channelId));
+}
+
+// Returns null when the entry names a work that is not in the catalog
+async function addEntry(uid, entry) {
+  if (entry.workId && !(await getWork(uid, entry.workId))) {
+    return null;
+  }
+  const ref = allowlistRef(uid).push();
+  const record = JSON.parse(JSON.stringify({ ...entry, createdAt: new Date().toISOString() }));
+  await ref.set(record);
+  return { id: ref.key, ...record, active: isActive(record) };
+}
+
+async function removeEntry(uid, entryId) {
+  const ref = allowlistRef(uid).child(entryId);
+  const snapshot = await ref.once('value');
+  if (!snapshot.exists()) {
+    return false;
+  }
+  await ref.remove();
+  return true;
+}
+
+// Unexpired entries that apply to a scan of workId (or of a typed title)
+async function getActiveChannels(uid, workId) {
+  const entries = await listAllowlist(uid);
+  return entries
+    .filter(entry => entry.active && (!entry.workId || entry.workId === workId))
+    .map(({ channelId, channelTitle, notes, expiresAt }) => ({ channelId, channelTitle, notes, expiresAt }));
+}
+
+module.exports = {
+  validateEntry,
+  listAllowlist,
+  addEntry,
+  removeEntry,
+  getActiveChannels
+};
@@ -0,0 +1,62 @@
+const cache = require('./cache');
+const sandbox = require('./sandbox');
+const imageHash = require('./imageHash');
+
+// Compares each search result's thumbnail with the work's official cover
+// art. Pirate uploads often reuse the artwork as their thumbnail or still
+// image. Hashes are cached per video (and per cover art URL), so re-scans
+// don't download the same images again.
+const HASH_CONCURRENCY = 4;
+
+// Hashes an image once per cache lifetime. Returns null when it can't be
+// fetched or decoded.
+async function hashCached(key, url) {
+  const cached = await cache.get('thumbnails', key);
+  if (cached && cached.url === url) {
+    return cached.hash;
+  }
+
+  try {
+    // Only the hash goes through the sandbox, so replays need no images
+    const hash = await sandbox.through('images', { version: imageHash.IMAGE_HASH_VERSION, url }, () => imageHash.hashImageUrl(url));
+    await cache.set('thumbnails', key, { url, hash });
+    return hash;
+  } catch (error) {
+    console.warn(`[ARTWORK] Could not hash ${url}:`, error.message);
+    return null;
+  }
+}
+
+// Sets artworkDistance (differing bits out of 64) on every video whose
+// thumbnail could be compared with the work's cover art. Does nothing for
+// works without cover art.
+async function annotateArtworkMatches(videos, work) {
+  if (!work || !work.coverArtUrl) {
+    return videos;
+  }
+
+  const coverHash = await hashCached(`v${imageHash.IMAGE_HASH_VERSION}:cover:${work.coverArtUrl}`, work.coverArtUrl);
+  if (!coverHash) {
+    return videos;
+  }
+
+  const pending = videos.filter(video => video.thumbnailUrl);
+  const worker = async () => {
+    while (pending.length > 0) {
+      const video = pending.shift();
+      const hash = await hashCached(`v${imageHash.IMAGE_HASH_VERSION}:${video.videoId}`, video.thumbnailUrl);
+      if (hash) {
+        video.artworkDistance = imageHash.hammingDistance(coverHash, hash);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: HASH_CONCURRENCY }, worker));
+
+  const compared = videos.filter(video => typeof video.artworkDistance === 'number').length;
+  console.log(`[ARTWORK] Compared ${compared}/${videos.length} thumbnails with the cover art`);
+  return videos;
+}
+
+module.exports = {
+  annotateArtworkMatches
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./firebase');
+const fingerprint = require('./fingerprint');
+const { findTrackVideos } = require('./tracks');
+
+// Original audio of catalog works and comparisons of suspect audio against
+// it. Only fingerprints are kept, never the audio itself. A work's
+// fingerprint is at users/<uid>/workAudio/<workId>. Matches are recorded at
+// users/<uid>/audioMatches/<trackId>/<videoId> and, like reviews, written by
+// the server only, so they can be relied on as evidence.
+const MAX_FILE_NAME_LENGTH = 200;
+
+function audioError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function workAudioRef(uid, workId) {
+  return getDatabase().ref(`users/${uid}/workAudio/${workId}`);
+}
+
+// What the API shows of a stored fingerprint
+function describeWorkAudio(record) {
+  return {
+    fileName: record.fileName || null,
+    sha256: record.sha256,
+    durationSeconds: record.fingerprint.durationSeconds,
+    uploadedAt: record.uploadedAt
+  };
+}
+
+async function getWorkAudio(uid, workId) {
+  const snapshot = await workAudioRef(uid, workId).once('value');
+  return snapshot.val();
+}
+
+// Fingerprints a WAV upload as the work's original audio, replacing any
+// earlier one
+async function saveWorkAudio(uid, workId, buffer, fileName) {
+  const record = {
+    fileName: typeof fileName === 'string' ? fileName.slice(0, MAX_FILE_NAME_LENGTH) : null,
+    sha256: sha256(buffer),
+    fingerprint: fingerprint.fingerprintWav(buffer),
+    uploadedAt: new Date().toISOString()
+  };
+  await workAudioRef(uid, workId).set(record);
+  return describeWorkAudio(record);
+}
+
+async function removeWorkAudio(uid, workId) {
+  await workAudioRef(uid, workId).remove();
+}
+
+// Compares a suspect WAV upload with the work's original audio
+async function compareWithWork(uid, workId, buffer) {
+  const original = await getWorkAudio(uid, workId);
+  if (!original) {
+    throw audioError('Upload the original audio for this work first', 404);
+  }
+  if (original.fingerprint.version !== fingerprint.FINGERPRINT_VERSION) {
+    throw audioError('The original audio was fingerprinted by an older version. Upload it again.', 409);
+  }
+
+  const suspect = fingerprint.fingerprintWav(buffer);
+  return {
+    ...fingerprint.compareFingerprints(original.fingerprint, suspect),
+    original: describeWorkAudio(original),
+    suspect: { sha256: sha256(buffer), durationSeconds: suspect.durationSeconds }
+  };
+}
+
+// Attaches a match to a video of the track. Returns the stored entry, or
+// null when the video isn't in the track.
+async function recordAudioMatch(user, track, videoId, workId, comparison) {
+  if (findTrackVideos(track, [videoId]).length === 0) {
+    return null;
+  }
+
+  const entry = {
+    workId,
+    similarity: comparison.similarity,
+    coverage: comparison.coverage,
+    matches: comparison.matches,
+    originalSha256: comparison.original.sha256,
+    suspectSha256: comparison.suspect.sha256,
+    suspectDurationSeconds: comparison.suspect.durationSeconds,
+    fingerprintVersion: fingerprint.FINGERPRINT_VERSION,
+    comparedBy: user.uid,
+    comparedAt: new Date().toISOString()
+  };
+  await getDatabase().ref(`users/${user.uid}/audioMatches/${track.id}/${videoId}`).set(entry);
+  return entry;
+}
+
+async function getTrackAudioMatches(uid, trackId) {
+  const snapshot = await getDatabase().ref(`users/${uid}/audioMatches/${trackId}`).once('value');
+  return snapshot.val() || {};
+}
+
+module.exports = {
+  describeWorkAudio,
+  getWorkAudio,
+  saveWorkAudio,
+  removeWorkAudio,
+  compareWithWork,
+  recordAudioMatch,
+  getTrackAudioMatches
+};
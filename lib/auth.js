@@ -0,0 +1,60 @@
+const { verifyIdToken } = require('./firebase');
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+// EventSource cannot set headers, so the scan event stream also accepts
+// ?access_token=. Nothing else does: tokens in URLs end up in logs, browser
+// history and Referer headers.
+function getEventStreamToken(req) {
+  return getBearerToken(req) || (req.query && typeof req.query.access_token === 'string' ? req.query.access_token : null);
+}
+
+// Sets req.user from a Firebase ID token, or answers 401
+async function authenticate(idToken, req, res, next) {
+  if (!idToken) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = await verifyIdToken(idToken);
+    next();
+  } catch (error) {
+    console.error('[AUTH] Invalid ID token:', error.message);
+    res.status(401).json({ error: 'Invalid or expired session. Please sign in again.' });
+  }
+}
+
+// Rejects the request unless it carries a valid Firebase ID token.
+// On success the decoded token is available as req.user.
+function requireAuth(req, res, next) {
+  return authenticate(getBearerToken(req), req, res, next);
+}
+
+// Like requireAuth, but lets anonymous callers through with req.user = null.
+// A token that is present but invalid is still rejected.
+function optionalAuthWith(getToken) {
+  return (req, res, next) => {
+    const idToken = getToken(req);
+    if (!idToken) {
+      req.user = null;
+      return next();
+    }
+    return authenticate(idToken, req, res, next);
+  };
+}
+
+const optionalAuth = optionalAuthWith(getBearerToken);
+// Only for GET /scans/:scanId/events
+const optionalEventStreamAuth = optionalAuthWith(getEventStreamToken);
+
+module.exports = {
+  getBearerToken,
+  getEventStreamToken,
+  requireAuth,
+  optionalAuth,
+  optionalEventStreamAuth
+};
@@ -0,0 +1,152 @@
+const Ajv = require('ajv');
+
+const DEFAULT_DISCLAIMER = 'This is an automated risk-assessment, not legal advice; consult counsel before taking legal action.';
+
+// Shape every batch reply must have once it has been parsed. Optional lists
+// are defaulted and a single rationale string is wrapped into an array.
+const batchAnalysisSchema = {
+  type: 'object',
+  required: ['summary', 'ranked_list'],
+  properties: {
+    summary: { type: 'string' },
+    ranked_list: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['videoId', 'risk', 'rationale'],
+        properties: {
+          videoId: { type: 'string', minLength: 1 },
+          title: { type: 'string' },
+          channel: { type: 'string' },
+          publishedAt: { type: 'string' },
+          risk: { enum: ['High', 'Medium', 'Low'] },
+          rationale: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    top_priority: { type: 'array', items: { type: 'string' }, default: [] },
+    checklist: { type: 'array', items: { type: 'string' }, default: [] },
+    next_actions: { type: 'array', items: { type: 'string' }, default: [] },
+    disclaimer: { type: 'string', default: DEFAULT_DISCLAIMER }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: 'array' });
+const validateBatchAnalysis = ajv.compile(batchAnalysisSchema);
+
+// Pulls the JSON object out of a reply that may be wrapped in prose or a
+// markdown fence, and fixes the near-JSON mistakes models commonly make.
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Model returned an empty response');
+  }
+
+  let candidate = text.trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model response does not contain a JSON object');
+  }
+  candidate = candidate.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const repaired = candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/,\s*([}\]])/g, '$1')
+      .replace(/([{,]\s*)([A-Za-z_][\w]*)\s*:/g, '$1"$2":');
+
+    try {
+      return JSON.parse(repaired);
+    } catch (repairError) {
+      throw new Error('Model response is not valid JSON: ' + repairError.message);
+    }
+  }
+}
+
+function normalizeRisk(risk) {
+  if (typeof risk !== 'string') {
+    return risk;
+  }
+  const value = risk.trim().toLowerCase();
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Scores and confidences are optional and never fail a reply: anything
+// that isn't a usable number is dropped and filled in later. Confidences
+// given as percentages are scaled to 0–1.
+function normalizeNumber(value, max) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    return undefined;
+  }
+  if (max === 1 && number > 1 && number <= 100) {
+    return number / 100;
+  }
+  return number <= max ? number : undefined;
+}
+
+// Parses and validates a batch reply against the videos that were sent.
+// Returns the cleaned analysis plus the videos the model left out.
+function parseBatchOutput(text, batchResults) {
+  const analysis = extractJson(text);
+
+  if (analysis && Array.isArray(analysis.ranked_list)) {
+    analysis.ranked_list.forEach(item => {
+      if (item && typeof item === 'object') {
+        item.risk = normalizeRisk(item.risk);
+        item.score = normalizeNumber(item.score, 100);
+        item.confidence = normalizeNumber(item.confidence, 1);
+      }
+    });
+  }
+
+  if (!validateBatchAnalysis(analysis)) {
+    const details = validateBatchAnalysis.errors
+      .slice(0, 3)
+      .map(error => `${error.instancePath || '/'} ${error.message}`)
+      .join('; ');
+    throw new Error('Model response failed schema validation: ' + details);
+  }
+
+  // Keep one verdict per video that was actually in the batch and fill in
+  // metadata the model omitted from the search results
+  const videosById = new Map(batchResults.map(video => [video.videoId, video]));
+  const seen = new Set();
+
+  analysis.ranked_list = analysis.ranked_list.filter(item => {
+    if (!videosById.has(item.videoId) || seen.has(item.videoId)) {
+      return false;
+    }
+    seen.add(item.videoId);
+
+    const video = videosById.get(item.videoId);
+    item.title = item.title || video.title;
+    item.channel = item.channel || video.channelTitle;
+    item.publishedAt = item.publishedAt || video.publishedAt;
+    return true;
+  });
+
+  analysis.top_priority = analysis.top_priority.filter(videoId => seen.has(videoId));
+
+  return {
+    analysis,
+    missing: batchResults.filter(video => !seen.has(video.videoId))
+  };
+}
+
+module.exports = {
+  DEFAULT_DISCLAIMER,
+  batchAnalysisSchema,
+  extractJson,
+  parseBatchOutput
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sandbox = require('./sandbox');
+
+// File-backed cache for YouTube responses, model verdicts and image hashes,
+// so re-scanning a track doesn't pay for the same search pages, video
+// lookups, analyses and thumbnail downloads again. Each entry is a JSON file at CACHE_DIR/<namespace>/<hash of key>.json
+// and survives restarts. A cache failure is logged and treated as a miss.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', '.cache');
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const HOUR_MS = 60 * 60 * 1000;
+const TTL_MS = {
+  search: Number(process.env.CACHE_SEARCH_TTL_HOURS || 6) * HOUR_MS,
+  videos: Number(process.env.CACHE_VIDEO_TTL_HOURS || 24) * HOUR_MS,
+  verdicts: Number(process.env.CACHE_VERDICT_TTL_HOURS || 720) * HOUR_MS,
+  thumbnails: Number(process.env.CACHE_THUMBNAIL_TTL_HOURS || 720) * HOUR_MS
+};
+const PRUNE_INTERVAL_MS = 6 * HOUR_MS;
+
+let pruneTimer = null;
+
+function entryPath(namespace, key) {
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  return path.join(CACHE_DIR, namespace, `${hash}.json`);
+}
+
+// Off in the sandbox: recording has to see every call, and a replay should
+// depend on the fixtures alone
+function isCacheEnabled(namespace) {
+  return CACHE_ENABLED && !sandbox.isRecording() && !sandbox.isReplaying() && TTL_MS[namespace] > 0;
+}
+
+// Returns the cached value, or undefined when missing or expired
+async function get(namespace, key) {
+  if (!isCacheEnabled(namespace)) {
+    return undefined;
+  }
+
+  const file = entryPath(namespace, key);
+  try {
+    const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (entry.key !== key) {
+      return undefined;
+    }
+    if (Date.parse(entry.expiresAt) <= Date.now()) {
+      await fs.promises.unlink(file).catch(() => {});
+      return undefined;
+    }
+    return entry.value;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[CACHE] Could not read ${namespace} entry:`, error.message);
+    }
+    return undefined;
+  }
+}
+
+async function set(namespace, key, value) {
+  if (!isCacheEnabled(namespace)) {
+    return;
+  }
+
+  const file = entryPath(namespace, key);
+  const now = Date.now();
+  const entry = {
+    key,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + TTL_MS[namespace]).toISOString(),
+    value
+  };
+  // Written to a temporary file first so readers never see half an entry
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(entry));
+    await fs.promises.rename(temp, file);
+  } catch (error) {
+    console.warn(`[CACHE] Could not write ${namespace} entry:`, error.message);
+    await fs.promises.unlink(temp).catch(() => {});
+  }
+}
+
+// Deletes expired entries in every namespace. Returns how many were removed.
+async function pruneExpired() {
+  let removed = 0;
+
+  for (const namespace of Object.keys(TTL_MS)) {
+    const dir = path.join(CACHE_DIR, namespace);
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (Date.parse(entry.expiresAt) <= Date.now()) {
+          await fs.promises.unlink(file);
+          removed++;
+        }
+      } catch (error) {
+        // An unreadable entry would never be a hit
+        await fs.promises.unlink(file).catch(() => {});
+      }
+    }
+  }
+
+  return removed;
+}
+
+async function runPrune() {
+  try {
+    const removed = await pruneExpired();
+    if (removed > 0) {
+      console.log(`[CACHE] Removed ${removed} expired entries`);
+    }
+  } catch (error) {
+    console.error('[CACHE] Could not prune expired entries:', error.message);
+  }
+}
+
+function startCachePruning() {
+  if (pruneTimer || !CACHE_ENABLED) {
+    return;
+  }
+  pruneTimer = setInterval(runPrune, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+  setImmediate(runPrune);
+}
+
+module.exports = {
+  get,
+  set,
+  pruneExpired,
+  startCachePruning
+};
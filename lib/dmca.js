@@ -0,0 +1,193 @@
+const { Document, Packer, Paragraph, TextRun } = require('docx');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const platforms = require('./platforms');
+
+// Builds a 17 U.S.C. § 512(c)(3) takedown notice from a saved track. The
+// notice is plain text first so the user can edit it; DOCX and PDF are
+// rendered from that (possibly edited) text.
+const PLACEHOLDER_ADDRESS = '[Your mailing address]';
+const PLACEHOLDER_PHONE = '[Your phone number]';
+const MAX_NOTICE_LENGTH = 100000;
+// The standard PDF fonts only cover Western European text, so the PDF embeds
+// DejaVu Serif, which also covers Central European, Greek and Cyrillic
+const PDF_FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSerif.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSerif-Bold.ttf')
+};
+
+let pdfFonts = null;
+
+// The notice goes to whoever runs the platforms the videos are on
+function describeRecipient(videos) {
+  const operators = [...new Set(videos.map(video => platforms.getPlatform(platforms.platformOf(video.videoId)).operator))];
+  return `${operators.join(' / ')} — Copyright Agent`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// The channel name of a track without a catalog work was typed in by the
+// user, so which platform it is on isn't known
+function describeWork(track) {
+  const work = track.work;
+  if (!work) {
+    return `"${track.userName}"${track.channelName ? `, published on the channel "${track.channelName}"` : ''}`;
+  }
+
+  const details = [
+    work.artist ? `by ${work.artist}` : '',
+    work.releaseDate ? `first released on ${formatDate(work.releaseDate)}` : '',
+    work.isrc ? `ISRC ${work.isrc}` : '',
+    work.upc ? `UPC ${work.upc}` : ''
+  ].filter(Boolean);
+  const channels = (work.channelIds || []).map(platforms.describeChannel);
+
+  return `"${work.title}"${details.length > 0 ? ` (${details.join(', ')})` : ''}` +
+    (channels.length > 0 ? `, officially published at ${channels.join(', ')}` : '');
+}
+
+// claimant: { fullName, businessName, email }; videos: ranked_list entries
+function buildNoticeText({ claimant, track, videos, date = new Date() }) {
+  const name = claimant.fullName || '[Your full legal name]';
+  const onBehalfOf = claimant.businessName ? ` on behalf of ${claimant.businessName}` : '';
+
+  const entries = videos.map((video, index) => [
+    `${index + 1}. ${platforms.videoUrl(video.videoId)}`,
+    `   Title: "${video.title || 'Unknown'}"`,
+    `   Platform: ${platforms.getPlatform(platforms.platformOf(video.videoId)).label}`,
+    `   Uploaded by: ${video.channel || 'Unknown channel'}${video.publishedAt ? ` on ${formatDate(video.publishedAt)}` : ''}`
+  ].join('\n'));
+
+  return [
+    'DMCA TAKEDOWN NOTICE',
+    '',
+    `Date: ${formatDate(date)}`,
+    '',
+    `To: ${describeRecipient(videos)}`,
+    '',
+    `I, ${name}, am writing${onBehalfOf} to notify you of material on your service that infringes copyrights I own or am authorized to act for, and to request its removal under the Digital Millennium Copyright Act, 17 U.S.C. § 512(c).`,
+    '',
+    '1. COPYRIGHTED WORK',
+    '',
+    `The copyrighted work that has been infringed is ${describeWork(track)}.`,
+    '',
+    '2. INFRINGING MATERIAL',
+    '',
+    `The following ${videos.length === 1 ? 'video reproduces' : `${videos.length} videos reproduce`} the copyrighted work without authorization. Please remove or disable access to each of them:`,
+    '',
+    entries.join('\n\n'),
+    '',
+    '3. CONTACT INFORMATION',
+    '',
+    `Name: ${name}`,
+    ...(claimant.businessName ? [`Company: ${claimant.businessName}`] : []),
+    `Address: ${PLACEHOLDER_ADDRESS}`,
+    `Telephone: ${PLACEHOLDER_PHONE}`,
+    `Email: ${claimant.email || '[Your email address]'}`,
+    '',
+    '4. STATEMENTS',
+    '',
+    'I have a good faith belief that use of the material in the manner complained of is not authorized by the copyright owner, its agent, or the law.',
+    '',
+    'The information in this notification is accurate, and under penalty of perjury, I am the owner, or an agent authorized to act on behalf of the owner, of an exclusive right that is allegedly infringed.',
+    '',
+    '5. SIGNATURE',
+    '',
+    `/s/ ${name}`,
+    name,
+    ...(claimant.businessName ? [claimant.businessName] : []),
+    formatDate(date)
+  ].join('\n');
+}
+
+// Placeholders the user still has to replace before sending
+function findPlaceholders(text) {
+  return [...new Set(text.match(/\[Your [^\]]+\]/g) || [])];
+}
+
+const isHeading = (line, index) => index === 0 || /^\d+\. [A-Z ]+$/.test(line);
+
+function renderDocx(text) {
+  const lines = text.split('\n');
+  const document = new Document({
+    sections: [{
+      children: lines.map((line, index) => new Paragraph({
+        children: [new TextRun({ text: line, bold: isHeading(line, index), font: 'Times New Roman', size: 24 })],
+        spacing: { after: line ? 80 : 0 }
+      }))
+    }]
+  });
+  return Packer.toBuffer(document);
+}
+
+// Shown in place of characters the PDF fonts have no glyph for
+const REPLACEMENT_CHARACTER = '\ufffd';
+
+// Replaces every run of characters the PDF fonts can't draw (emoji, CJK
+// scripts) with one REPLACEMENT_CHARACTER. Returns { text, replaced }.
+function replaceMissingGlyphs(text) {
+  if (!pdfFonts) {
+    pdfFonts = { regular: fontkit.openSync(PDF_FONTS.regular), bold: fontkit.openSync(PDF_FONTS.bold) };
+  }
+  let replaced = 0;
+  const lines = text.split('\n').map((line, index) => {
+    const font = isHeading(line, index) ? pdfFonts.bold : pdfFonts.regular;
+    let result = '';
+    let inRun = false;
+    for (const char of line) {
+      // Joiners and variation selectors belong to the emoji they follow
+      if (inRun && /[\u200d\ufe00-\ufe0f]/.test(char)) {
+        continue;
+      }
+      if (/\s/.test(char) || font.hasGlyphForCodePoint(char.codePointAt(0))) {
+        result += char;
+        inRun = false;
+      } else if (!inRun) {
+        result += REPLACEMENT_CHARACTER;
+        replaced++;
+        inRun = true;
+      }
+    }
+    return result;
+  });
+  return { text: lines.join('\n'), replaced };
+}
+
+// Titles and channel names are often in scripts the embedded fonts lack.
+// Those characters are replaced and the notice says so; the video URLs still
+// identify every upload.
+function renderPdf(noticeText) {
+  const { text, replaced } = replaceMissingGlyphs(noticeText);
+  const note = replaced > 0
+    ? `Note: characters this PDF cannot display, such as emoji or Chinese, Japanese or Korean script, are shown as ${REPLACEMENT_CHARACTER}. The linked pages show the titles and channel names as published.`
+    : null;
+
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'LETTER', margin: 72 });
+    pdf.registerFont('Serif', PDF_FONTS.regular);
+    pdf.registerFont('Serif-Bold', PDF_FONTS.bold);
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    text.split('\n').forEach((line, index) => {
+      pdf.font(isHeading(line, index) ? 'Serif-Bold' : 'Serif').fontSize(12).text(line || ' ');
+    });
+    if (note) {
+      pdf.moveDown().font('Serif').fontSize(9).text(note);
+    }
+    pdf.end();
+  });
+}
+
+module.exports = {
+  MAX_NOTICE_LENGTH,
+  buildNoticeText,
+  findPlaceholders,
+  replaceMissingGlyphs,
+  renderDocx,
+  renderPdf
+};
@@ -0,0 +1,116 @@
+const { videoUrl } = require('./platforms');
+
+// HTML and plain-text bodies for notification emails. Every template returns
+// { subject, html, text } and takes the unsubscribe link it should show.
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, bodyHtml, unsubscribeUrl) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f6f1ec;font-family:Arial,Helvetica,sans-serif;color:#333;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;">
+    <div style="background:#fff;border-radius:10px;padding:24px;">
+      <h1 style="font-size:20px;color:#e55a3c;margin:0 0 16px;">${escapeHtml(title)}</h1>
+      ${bodyHtml}
+    </div>
+    <p style="font-size:12px;color:#888;text-align:center;margin-top:16px;">
+      This is an automated risk assessment, not legal advice.<br>
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color:#888;">Unsubscribe from these emails</a>
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+function textFooter(unsubscribeUrl) {
+  return `\n--\nThis is an automated risk assessment, not legal advice.\nUnsubscribe: ${unsubscribeUrl}\n`;
+}
+
+// videos: [{ videoId, title, channel }]; hiddenCount: new High-risk videos the plan hides
+function renderHighRiskAlert({ trackName, videos, hiddenCount, tracksUrl, unsubscribeUrl }) {
+  const total = videos.length + hiddenCount;
+  const subject = `${total} new high-risk upload${total !== 1 ? 's' : ''} for "${trackName}"`;
+
+  const items = videos.map(video => `
+        <li style="margin-bottom:8px;">
+          <a href="${videoUrl(video.videoId)}" style="color:#e55a3c;">${escapeHtml(video.title)}</a><br>
+          <span style="color:#666;font-size:13px;">${escapeHtml(video.channel)}</span>
+        </li>`).join('');
+  const hiddenHtml = hiddenCount > 0
+    ? `<p>${hiddenCount} more ${hiddenCount !== 1 ? 'are' : 'is'} hidden on your plan. Upgrade to Premium to see every flagged video.</p>`
+    : '';
+
+  const html = layout(subject, `
+      <p>The latest scheduled scan of <strong>${escapeHtml(trackName)}</strong> found new uploads that look like likely copies.</p>
+      ${items ? `<ul style="padding-left:20px;">${items}</ul>` : ''}
+      ${hiddenHtml}
+      <p><a href="${escapeHtml(tracksUrl)}" style="display:inline-block;background:#e55a3c;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;">Review in your tracks</a></p>`,
+  unsubscribeUrl);
+
+  const text = [
+    `The latest scheduled scan of "${trackName}" found new uploads that look like likely copies.`,
+    '',
+    ...videos.map(video => `- ${video.title} (${video.channel}): ${videoUrl(video.videoId)}`),
+    hiddenCount > 0 ? `\n${hiddenCount} more hidden on your plan. Upgrade to Premium to see every flagged video.` : '',
+    '',
+    `Review in your tracks: ${tracksUrl}`
+  ].join('\n') + textFooter(unsubscribeUrl);
+
+  return { subject, html, text };
+}
+
+// tracks: [{ trackName, monitored, flaggedCount, newHighRisk, lastRunAt }]
+function renderWeeklyDigest({ tracks, tracksUrl, unsubscribeUrl }) {
+  const newHighRisk = tracks.reduce((sum, track) => sum + track.newHighRisk, 0);
+  const subject = newHighRisk > 0
+    ? `Weekly digest: ${newHighRisk} new high-risk upload${newHighRisk !== 1 ? 's' : ''} across your tracks`
+    : 'Weekly digest: no new high-risk uploads';
+
+  const rows = tracks.map(track => `
+        <tr>
+          <td style="padding:8px;border-bottom:1px solid #eee;">${escapeHtml(track.trackName)}</td>
+          <td style="padding:8px;border-bottom:1px solid #eee;text-align:center;">${track.flaggedCount}</td>
+          <td style="padding:8px;border-bottom:1px solid #eee;text-align:center;${track.newHighRisk > 0 ? 'color:#f44336;font-weight:bold;' : ''}">${track.newHighRisk}</td>
+          <td style="padding:8px;border-bottom:1px solid #eee;color:#666;font-size:13px;">${track.monitored ? (track.lastRunAt ? new Date(track.lastRunAt).toDateString() : 'Not run yet') : 'Off'}</td>
+        </tr>`).join('');
+
+  const html = layout(subject, `
+      <p>Here is what happened across your tracks over the past week.</p>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <tr style="text-align:left;color:#666;">
+          <th style="padding:8px;">Track</th>
+          <th style="padding:8px;text-align:center;">Flagged</th>
+          <th style="padding:8px;text-align:center;">New high-risk</th>
+          <th style="padding:8px;">Last scan</th>
+        </tr>
+        ${rows}
+      </table>
+      <p><a href="${escapeHtml(tracksUrl)}" style="display:inline-block;background:#e55a3c;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;margin-top:16px;">Open your tracks</a></p>`,
+  unsubscribeUrl);
+
+  const text = [
+    'Here is what happened across your tracks over the past week.',
+    '',
+    ...tracks.map(track =>
+      `- ${track.trackName}: ${track.flaggedCount} flagged, ${track.newHighRisk} new high-risk` +
+      (track.monitored ? `, last scan ${track.lastRunAt ? new Date(track.lastRunAt).toDateString() : 'not run yet'}` : ', monitoring off')
+    ),
+    '',
+    `Open your tracks: ${tracksUrl}`
+  ].join('\n') + textFooter(unsubscribeUrl);
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  escapeHtml,
+  renderHighRiskAlert,
+  renderWeeklyDigest
+};
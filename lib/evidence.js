@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { getDatabase } = require('./firebase');
+const { statusLabel } = require('./reviews');
+const { DEFAULT_PLATFORMS, videoUrl } = require('./platforms');
+
+// Evidence packs: a ZIP of everything we know about how a video was found and
+// judged, with a manifest of SHA-256 hashes so the pack can be shown to be
+// unaltered later. Tracks only keep the analysis, so the raw search metadata
+// of every authenticated scan is captured server-side at
+// scanEvidence/<uid>/<scanId> when the scan finishes.
+
+async function saveScanEvidence(job) {
+  const record = {
+    scanId: job.id,
+    startedAt: job.createdAt,
+    completedAt: new Date().toISOString(),
+    input: job.input,
+    query: job.result.query,
+    platforms: job.result.platforms || [],
+    queries: job.result.queries || [],
+    totalVideosFound: job.result.totalVideosFound,
+    searchResults: job.result.searchResults || []
+  };
+  // Round-trip through JSON so optional fields left undefined are dropped
+  await getDatabase().ref(`scanEvidence/${job.uid}/${job.id}`).set(JSON.parse(JSON.stringify(record)));
+}
+
+// Returns { scanId: record } for the scans that have evidence captured
+async function getScanEvidence(uid, scanIds) {
+  const records = await Promise.all(scanIds.map(async scanId => {
+    const snapshot = await getDatabase().ref(`scanEvidence/${uid}/${scanId}`).once('value');
+    return [scanId, snapshot.val()];
+  }));
+  return Object.fromEntries(records.filter(([, record]) => record));
+}
+
+async function removeScanEvidence(uid, scanIds) {
+  await Promise.all(scanIds.map(scanId => getDatabase().ref(`scanEvidence/${uid}/${scanId}`).remove()));
+}
+
+// Exports are logged server-side so a pack's hashes can be checked against
+// what was issued
+async function recordExport(uid, entry) {
+  await getDatabase().ref(`evidenceExports/${uid}`).push(entry);
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+function formatOffset(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// One line per matching segment of an audio comparison
+function describeAudioMatch(match) {
+  return [
+    `  Audio match: ${Math.round(match.similarity * 100)}% similar, ${Math.round(match.coverage * 100)}% of the suspect audio (compared ${match.comparedAt})`,
+    ...(match.matches || []).map(segment =>
+      `  - original ${formatOffset(segment.originalOffset)} matches suspect ${formatOffset(segment.suspectOffset)} for ${Math.round(segment.duration)}s`)
+  ];
+}
+
+// verdict: a ranked_list entry tagged with the scanId and scannedAt it came
+// from; audioMatch: the video's recorded audio match, if any
+function describeVerdict(video, audioMatch) {
+  const rationale = [].concat(video.rationale || []);
+  return [
+    `${video.title || 'Untitled'}`,
+    `  URL: ${videoUrl(video.videoId)}`,
+    `  Channel: ${video.channel || 'Unknown'}`,
+    `  Risk: ${video.risk}${video.source ? ` (${video.source === 'rules' ? 'rule-based' : 'model'} verdict)` : ''}`,
+    ...(typeof video.score === 'number' ? [`  Score: ${video.score}/100${typeof video.confidence === 'number' ? `, confidence ${Math.round(video.confidence * 100)}%` : ''}`] : []),
+    `  Scan: ${video.scanId || 'unknown'} at ${video.scannedAt || 'unknown time'}`,
+    ...(audioMatch ? describeAudioMatch(audioMatch) : []),
+    '  Rationale:',
+    ...(rationale.length > 0 ? rationale.map(point => `  - ${point}`) : ['  - None recorded'])
+  ].join('\n');
+}
+
+// Notes given at export time, then each included video's review
+function buildReviewerNotes(notes, videos, reviews) {
+  const reviewed = videos.filter(video => reviews[video.videoId]);
+  return [
+    ...(notes ? ['EXPORT NOTES', '', notes, ''] : []),
+    ...(reviewed.length > 0 ? ['VIDEO REVIEWS', ''] : []),
+    ...reviewed.map(video => {
+      const review = reviews[video.videoId];
+      return [
+        `${video.title || 'Untitled'} (${video.videoId})`,
+        `  Status: ${statusLabel(review)}`,
+        `  Reviewed by ${(review.reviewer && review.reviewer.name) || 'unknown'} at ${review.updatedAt}`,
+        ...(review.notes ? [`  Notes: ${review.notes}`] : []),
+        ''
+      ].join('\n');
+    })
+  ].join('\n');
+}
+
+function buildReadme({ track, videos, generatedAt, hasNotes, hasAudioMatches }) {
+  return [
+    `Evidence pack for "${track.trackName || track.userName || 'Unnamed Track'}"`,
+    `Generated ${generatedAt}`,
+    '',
+    `Videos included: ${videos.length}`,
+    ...videos.map(video => `- ${video.videoId}: ${video.title || 'Untitled'}`),
+    '',
+    'Contents',
+    '- track.json: the original work and track details',
+    '- verdicts.json: every recorded verdict for the included videos, per scan',
+    '- rationale.txt: the same verdicts as readable text',
+    '- scans/<scanId>/queries.json: when the scan ran, the platforms it searched and the search queries it used',
+    '- scans/<scanId>/search-results.json: raw search metadata for the included videos',
+    ...(hasAudioMatches ? ['- audio-matches.json: audio fingerprint matches against the original recording, with matching offsets'] : []),
+    ...(hasNotes ? ['- reviewer-notes.txt: reviewer notes and the review status of the included videos'] : []),
+    '- manifest.json: SHA-256 hash and size of every other file',
+    '',
+    'To verify the pack, hash each file (for example with `sha256sum`) and',
+    'compare it with manifest.json. The hash of manifest.json itself is recorded',
+    'by the server when the pack is exported.',
+    '',
+    'This is an automated risk assessment, not legal advice.',
+    ''
+  ].join('\n');
+}
+
+// track: saved track; scans: [{ scanId, scannedAt, analysis }] from
+// getTrackScans; videoIds: the videos to include; evidence: getScanEvidence
+// output; reviews: { videoId: review } for the track; audioMatches:
+// { videoId: match } for the track. Search results are limited to the
+// included videos, which the user's plan has already shown them.
+async function buildEvidencePack({ uid, email, track, scans, videoIds, evidence, reviews = {}, audioMatches = {}, notes, generatedAt = new Date().toISOString() }) {
+  const included = new Set(videoIds);
+  const files = [];
+  const addFile = (path, content) => files.push({ path, content: Buffer.from(content, 'utf8') });
+
+  const verdicts = [];
+  const packScans = [];
+  scans.forEach(scan => {
+    const found = (scan.analysis.ranked_list || []).filter(video => included.has(video.videoId));
+    if (found.length === 0) {
+      return;
+    }
+    found.forEach(video => verdicts.push({ scanId: scan.scanId || null, scannedAt: scan.scannedAt || null, ...video }));
+
+    const record = scan.scanId ? evidence[scan.scanId] : null;
+    packScans.push({
+      scanId: scan.scanId || null,
+      scannedAt: (record && record.completedAt) || scan.scannedAt || null,
+      evidenceCaptured: Boolean(record)
+    });
+    if (!record) {
+      return;
+    }
+    addFile(`scans/${scan.scanId}/queries.json`, toJson({
+      scanId: record.scanId,
+      startedAt: record.startedAt,
+      completedAt: record.completedAt,
+      input: record.input,
+      platforms: record.platforms || DEFAULT_PLATFORMS,
+      queries: record.queries || [record.query].filter(Boolean),
+      totalVideosFound: record.totalVideosFound
+    }));
+    addFile(`scans/${scan.scanId}/search-results.json`, toJson(
+      (record.searchResults || []).filter(video => included.has(video.videoId))
+    ));
+  });
+
+  const videos = [...new Map(verdicts.map(verdict => [verdict.videoId, verdict])).values()];
+
+  addFile('track.json', toJson({
+    trackId: track.id,
+    trackName: track.trackName || null,
+    userName: track.userName || null,
+    channelName: track.channelName || null,
+    work: track.work || null,
+    createdAt: track.timestamp || null
+  }));
+  addFile('verdicts.json', toJson(verdicts));
+  addFile('rationale.txt', verdicts.map(verdict => describeVerdict(verdict, audioMatches[verdict.videoId])).join('\n\n') + '\n');
+  const matched = videos.filter(video => audioMatches[video.videoId])
+    .map(video => ({ videoId: video.videoId, url: videoUrl(video.videoId), ...audioMatches[video.videoId] }));
+  if (matched.length > 0) {
+    addFile('audio-matches.json', toJson(matched));
+  }
+  const reviewerNotes = buildReviewerNotes(notes, videos, reviews);
+  if (reviewerNotes) {
+    addFile('reviewer-notes.txt', reviewerNotes.trim() + '\n');
+  }
+  addFile('README.txt', buildReadme({ track, videos, generatedAt, hasNotes: Boolean(reviewerNotes), hasAudioMatches: matched.length > 0 }));
+
+  const manifest = {
+    generatedAt,
+    generatedBy: { uid, email: email || null },
+    trackId: track.id,
+    videoIds: videos.map(video => video.videoId),
+    scans: packScans,
+    algorithm: 'SHA-256',
+    files: files.map(file => ({ path: file.path, sha256: sha256(file.content), bytes: file.content.length }))
+  };
+  const manifestContent = Buffer.from(toJson(manifest), 'utf8');
+
+  const zip = new JSZip();
+  const date = new Date(generatedAt);
+  files.forEach(file => zip.file(file.path, file.content, { date }));
+  zip.file('manifest.json', manifestContent, { date });
+  const content = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  return { content, manifest, manifestSha256: sha256(manifestContent), zipSha256: sha256(content) };
+}
+
+module.exports = {
+  saveScanEvidence,
+  getScanEvidence,
+  removeScanEvidence,
+  recordExport,
+  buildEvidencePack
+};
@@ -0,0 +1,90 @@
+const ExcelJS = require('exceljs');
+const { applyPlanLimits } = require('./plans');
+const { getLatestAnalysis } = require('./tracks');
+const { statusLabel } = require('./reviews');
+const platforms = require('./platforms');
+
+// CSV and XLSX exports of tracks' ranked lists. Each track contributes its
+// latest analysis, limited to what the user's current plan may see, the same
+// way the tracks page shows it.
+const COLUMNS = [
+  { key: 'trackName', header: 'Track', width: 28 },
+  { key: 'platform', header: 'Platform', width: 12 },
+  { key: 'videoId', header: 'Video ID', width: 14 },
+  { key: 'url', header: 'URL', width: 44 },
+  { key: 'title', header: 'Title', width: 48 },
+  { key: 'channel', header: 'Channel', width: 28 },
+  { key: 'publishedAt', header: 'Published At', width: 22 },
+  { key: 'risk', header: 'Risk', width: 10 },
+  { key: 'score', header: 'Score', width: 8 },
+  { key: 'confidence', header: 'Confidence', width: 12 },
+  { key: 'rationale', header: 'Rationale', width: 70 },
+  { key: 'reviewStatus', header: 'Review Status', width: 20 }
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', render: renderCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: renderXlsx }
+};
+
+// tracks: [{ id, ...track }]; reviews: { trackId: { videoId: review } }.
+// Returns one row per visible video.
+function buildRows(tracks, plan, reviews = {}) {
+  return tracks.flatMap(track => {
+    const { analysis } = applyPlanLimits({ analysis: getLatestAnalysis(track) }, plan);
+    const trackReviews = reviews[track.id] || {};
+    return (analysis.ranked_list || []).map(video => ({
+      trackName: track.trackName || track.userName || 'Unnamed Track',
+      platform: platforms.getPlatform(platforms.platformOf(video.videoId)).label,
+      videoId: video.videoId,
+      url: platforms.videoUrl(video.videoId),
+      title: video.title || '',
+      channel: video.channel || video.channelTitle || '',
+      publishedAt: video.publishedAt || '',
+      risk: video.risk || '',
+      score: typeof video.score === 'number' ? video.score : '',
+      confidence: typeof video.confidence === 'number' ? video.confidence : '',
+      rationale: [].concat(video.rationale || []).join('\n'),
+      reviewStatus: statusLabel(trackReviews[video.videoId])
+    }));
+  });
+}
+
+// Cells starting with these are run as formulas by spreadsheet apps
+function csvCell(value) {
+  let text = String(value == null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function renderCsv(rows) {
+  const lines = [
+    COLUMNS.map(column => csvCell(column.header)).join(','),
+    ...rows.map(row => COLUMNS.map(column => csvCell(row[column.key])).join(','))
+  ];
+  // The BOM makes Excel read the file as UTF-8
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+async function renderXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Videos', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: 'A1', to: { row: 1, column: COLUMNS.length } };
+
+  rows.forEach(row => {
+    const added = sheet.addRow(row);
+    added.getCell('url').value = { text: row.url, hyperlink: row.url };
+    added.getCell('rationale').alignment = { wrapText: true, vertical: 'top' };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  FORMATS,
+  buildRows
+};
@@ -0,0 +1,347 @@
+// Acoustic fingerprints for comparing a suspect upload's audio with the
+// original work. Audio is mixed down to mono, resampled to 5512 Hz and cut
+// into overlapping frames; each frame becomes a 32-bit sub-fingerprint whose
+// bits say whether the energy difference between neighbouring frequency bands
+// (300-2000 Hz) rose or fell since the previous frame (Haitsma & Kalker's
+// scheme). These bits survive re-encoding, volume changes and moderate noise,
+// but not pitch or tempo changes. Two recordings match where their
+// sub-fingerprints, lined up at some offset, differ in few bits.
+const FINGERPRINT_VERSION = 1;
+const SAMPLE_RATE = 5512;
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 256;
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+const MIN_AUDIO_SECONDS = 5;
+const MAX_AUDIO_SECONDS = Number(process.env.AUDIO_MAX_SECONDS || 1200);
+// Frames are compared in blocks of about three seconds; a block matches when
+// at most MATCH_BIT_ERROR_RATE of its bits differ (unrelated audio differs
+// in about half)
+const BLOCK_FRAMES = 64;
+const MATCH_BIT_ERROR_RATE = 0.35;
+const MIN_MATCH_SECONDS = 5;
+const MAX_CANDIDATE_OFFSETS = 10;
+// Sub-fingerprints this common (e.g. silence) say little about the offset
+const MAX_POSITIONS_PER_VALUE = 50;
+
+function audioError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function findChunks(buffer) {
+  const chunks = {};
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4).trim();
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks[id] = chunks[id] || { start: offset + 8, size: Math.min(size, buffer.length - offset - 8) };
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+// Reads a WAV file (integer PCM or float) into mono samples between -1 and 1.
+// Compressed formats need decoding first, e.g. `ffmpeg -i in.mp3 out.wav`.
+function decodeWav(buffer) {
+  if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw audioError('Audio must be a WAV file', 415);
+  }
+
+  const chunks = findChunks(buffer);
+  if (!chunks.fmt || !chunks.data) {
+    throw audioError('WAV file has no format or data chunk');
+  }
+
+  const fmt = chunks.fmt.start;
+  let format = buffer.readUInt16LE(fmt);
+  const channels = buffer.readUInt16LE(fmt + 2);
+  const sampleRate = buffer.readUInt32LE(fmt + 4);
+  const bitsPerSample = buffer.readUInt16LE(fmt + 14);
+  // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of its subformat GUID
+  if (format === 0xFFFE && chunks.fmt.size >= 26) {
+    format = buffer.readUInt16LE(fmt + 24);
+  }
+
+  const readers = {
+    '1:8': offset => (buffer.readUInt8(offset) - 128) / 128,
+    '1:16': offset => buffer.readInt16LE(offset) / 32768,
+    '1:24': offset => buffer.readIntLE(offset, 3) / 8388608,
+    '1:32': offset => buffer.readInt32LE(offset) / 2147483648,
+    '3:32': offset => buffer.readFloatLE(offset),
+    '3:64': offset => buffer.readDoubleLE(offset)
+  };
+  const read = readers[`${format}:${bitsPerSample}`];
+  if (!read || channels < 1 || sampleRate < 1) {
+    throw audioError('Only uncompressed PCM or float WAV audio is supported', 415);
+  }
+
+  const bytesPerFrame = (bitsPerSample / 8) * channels;
+  const frameCount = Math.floor(chunks.data.size / bytesPerFrame);
+  const durationSeconds = frameCount / sampleRate;
+  if (durationSeconds < MIN_AUDIO_SECONDS) {
+    throw audioError(`Audio must be at least ${MIN_AUDIO_SECONDS} seconds long`);
+  }
+  if (durationSeconds > MAX_AUDIO_SECONDS) {
+    throw audioError(`Audio must be at most ${MAX_AUDIO_SECONDS} seconds long`, 413);
+  }
+
+  const samples = new Float32Array(frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(chunks.data.start + i * bytesPerFrame + channel * (bitsPerSample / 8));
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { samples, sampleRate, durationSeconds };
+}
+
+// Averages the input over each output sample's span, which also filters out
+// most of what would alias
+function resample(samples, fromRate) {
+  const ratio = fromRate / SAMPLE_RATE;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      sum += samples[j];
+    }
+    output[i] = sum / (end - start);
+  }
+  return output;
+}
+
+// Twiddle factors for a FRAME_SIZE FFT, computed once
+const COS_TABLE = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.cos(-2 * Math.PI * k / FRAME_SIZE));
+const SIN_TABLE = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.sin(-2 * Math.PI * k / FRAME_SIZE));
+
+// In-place iterative radix-2 FFT of FRAME_SIZE points
+function fft(real, imag) {
+  const n = FRAME_SIZE;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size / 2;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = COS_TABLE[k * step];
+        const sin = SIN_TABLE[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tReal = real[b] * cos - imag[b] * sin;
+        const tImag = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+      }
+    }
+  }
+}
+
+// FFT bin where each band starts; bands are spaced evenly on a log scale
+function bandEdges() {
+  const edges = [];
+  for (let band = 0; band <= BAND_COUNT; band++) {
+    const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, band / BAND_COUNT);
+    edges.push(Math.round(frequency * FRAME_SIZE / SAMPLE_RATE));
+  }
+  return edges;
+}
+
+function computeSubFingerprints(samples) {
+  const frameCount = samples.length < FRAME_SIZE ? 0 : Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1;
+  const window = Float32Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+  const edges = bandEdges();
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  const fingerprints = new Uint32Array(Math.max(0, frameCount - 1));
+  let previous = null;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * HOP_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      real[i] = samples[offset + i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+
+    const energies = new Float64Array(BAND_COUNT);
+    for (let band = 0; band < BAND_COUNT; band++) {
+      for (let bin = edges[band]; bin < Math.max(edges[band + 1], edges[band] + 1); bin++) {
+        energies[band] += real[bin] * real[bin] + imag[bin] * imag[bin];
+      }
+    }
+
+    if (previous) {
+      let bits = 0;
+      for (let band = 0; band < BAND_COUNT - 1; band++) {
+        const difference = (energies[band] - energies[band + 1]) - (previous[band] - previous[band + 1]);
+        if (difference > 0) {
+          bits |= 1 << band;
+        }
+      }
+      fingerprints[frame - 1] = bits >>> 0;
+    }
+    previous = energies;
+  }
+
+  return fingerprints;
+}
+
+// Fingerprint of a WAV file, in the form stored with a work
+function fingerprintWav(buffer) {
+  const { samples, sampleRate, durationSeconds } = decodeWav(buffer);
+  const fingerprints = computeSubFingerprints(resample(samples, sampleRate));
+  return {
+    version: FINGERPRINT_VERSION,
+    sampleRate: SAMPLE_RATE,
+    hopSize: HOP_SIZE,
+    durationSeconds: Math.round(durationSeconds * 100) / 100,
+    frames: fingerprints.length,
+    data: Buffer.from(fingerprints.buffer).toString('base64')
+  };
+}
+
+function toSubFingerprints(fingerprint) {
+  const buffer = Buffer.from(fingerprint.data, 'base64');
+  return new Uint32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+}
+
+function countBits(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Offsets (original frame - suspect frame) where sub-fingerprints agree
+// exactly or in all but one bit, most supported first
+function candidateOffsets(original, suspect) {
+  const positions = new Map();
+  original.forEach((value, index) => {
+    const list = positions.get(value) || [];
+    if (list.length < MAX_POSITIONS_PER_VALUE) {
+      list.push(index);
+      positions.set(value, list);
+    }
+  });
+
+  const votes = new Map();
+  suspect.forEach((value, index) => {
+    for (let bit = -1; bit < 32; bit++) {
+      const probe = bit < 0 ? value : (value ^ (1 << bit)) >>> 0;
+      (positions.get(probe) || []).forEach(position => {
+        const offset = position - index;
+        votes.set(offset, (votes.get(offset) || 0) + 1);
+      });
+    }
+  });
+
+  return [...votes.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATE_OFFSETS)
+    .map(([offset]) => offset);
+}
+
+function bitErrors(original, suspect, offset, from, to) {
+  let errors = 0;
+  for (let index = from; index < to; index++) {
+    errors += countBits((original[index + offset] ^ suspect[index]) >>> 0);
+  }
+  return errors;
+}
+
+// Runs of matching blocks with the suspect lined up at offset
+function matchSegments(original, suspect, offset) {
+  const first = Math.max(0, -offset);
+  const last = Math.min(suspect.length, original.length - offset);
+  const segments = [];
+  let current = null;
+
+  for (let start = first; start + BLOCK_FRAMES <= last; start += BLOCK_FRAMES) {
+    const errors = bitErrors(original, suspect, offset, start, start + BLOCK_FRAMES);
+    if (errors / (BLOCK_FRAMES * 32) <= MATCH_BIT_ERROR_RATE) {
+      if (current && current.end === start) {
+        current.end += BLOCK_FRAMES;
+        current.errors += errors;
+      } else {
+        current = { offset, start, end: start + BLOCK_FRAMES, errors };
+        segments.push(current);
+      }
+    }
+  }
+  return segments;
+}
+
+function roundTo(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Compares stored fingerprints. similarity runs from 0 (unrelated) to 1
+// (identical); matches are the stretches of the suspect found in the
+// original, with offsets in seconds.
+function compareFingerprints(originalFingerprint, suspectFingerprint) {
+  const original = toSubFingerprints(originalFingerprint);
+  const suspect = toSubFingerprints(suspectFingerprint);
+  const secondsPerFrame = HOP_SIZE / SAMPLE_RATE;
+  const toSimilarity = errorRate => Math.max(0, 1 - 2 * errorRate);
+
+  const segments = [];
+  candidateOffsets(original, suspect).forEach(offset => {
+    matchSegments(original, suspect, offset).forEach(segment => {
+      if ((segment.end - segment.start) * secondsPerFrame < MIN_MATCH_SECONDS) {
+        return;
+      }
+      // Neighbouring offsets find the same stretch again
+      const overlaps = segments.some(other => Math.min(other.end, segment.end) - Math.max(other.start, segment.start) > (segment.end - segment.start) / 2);
+      if (!overlaps) {
+        segments.push(segment);
+      }
+    });
+  });
+
+  const matches = segments
+    .sort((a, b) => a.start - b.start)
+    .map(segment => ({
+      originalOffset: roundTo((segment.start + segment.offset) * secondsPerFrame, 1),
+      suspectOffset: roundTo(segment.start * secondsPerFrame, 1),
+      duration: roundTo((segment.end - segment.start) * secondsPerFrame, 1),
+      similarity: roundTo(toSimilarity(segment.errors / ((segment.end - segment.start) * 32)), 2)
+    }));
+
+  const matchedFrames = segments.reduce((total, segment) => total + segment.end - segment.start, 0);
+  const matchedErrors = segments.reduce((total, segment) => total + segment.errors, 0);
+
+  return {
+    matched: matches.length > 0,
+    similarity: matchedFrames > 0 ? roundTo(toSimilarity(matchedErrors / (matchedFrames * 32)), 2) : 0,
+    coverage: suspect.length > 0 ? roundTo(Math.min(1, matchedFrames / suspect.length), 2) : 0,
+    matches
+  };
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  decodeWav,
+  fingerprintWav,
+  compareFingerprints
+};
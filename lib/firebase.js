@@ -0,0 +1,50 @@
+const admin = require('firebase-admin');
+
+// Firebase Admin is initialised lazily so the server can still boot (in mock
+// mode) on machines that have no service account configured.
+// FIREBASE_AUTH_EMULATOR_HOST / FIREBASE_DATABASE_EMULATOR_HOST are picked up
+// by the SDK itself, so the same code runs against the local emulators.
+let firebaseApp = null;
+
+function getFirebaseApp() {
+  if (firebaseApp) {
+    return firebaseApp;
+  }
+
+  const options = {
+    projectId: process.env.FIREBASE_PROJECT_ID || 'vouchcard-46e48',
+    databaseURL: process.env.FIREBASE_DATABASE_URL || 'https://vouchcard-46e48-default-rtdb.firebaseio.com'
+  };
+
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    options.credential = admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT));
+  }
+
+  firebaseApp = admin.initializeApp(options);
+  return firebaseApp;
+}
+
+function getDatabase() {
+  return getFirebaseApp().database();
+}
+
+function verifyIdToken(idToken) {
+  return getFirebaseApp().auth().verifyIdToken(idToken);
+}
+
+async function getUserEmail(uid) {
+  const user = await getFirebaseApp().auth().getUser(uid);
+  return user.email || null;
+}
+
+// Realtime Database keys cannot contain . # $ [ ] or /
+function toDatabaseKey(value) {
+  return String(value).replace(/[.#$[\]/]/g, '_');
+}
+
+module.exports = {
+  getDatabase,
+  verifyIdToken,
+  getUserEmail,
+  toDatabaseKey
+};
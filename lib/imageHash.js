@@ -0,0 +1,333 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Perceptual hashes of images, for spotting thumbnails that reuse a work's
+// official artwork. An image is cropped to its content (letterbox and
+// pillarbox bars are dropped), reduced to 32x32 grey levels and transformed
+// with a DCT; each of the 64 lowest frequencies gives one bit, set when it is
+// above their median (the pHash scheme). Re-encoding, resizing and small
+// edits change only a few bits, so two images are alike when the Hamming
+// distance between their hashes is small. Unrelated images differ in about
+// half of the bits.
+const IMAGE_HASH_VERSION = 1;
+const HASH_SIZE = 8;
+const DCT_SIZE = 32;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// A small file can declare huge dimensions, so the size is read from the
+// header and checked before anything is decoded
+const MAX_IMAGE_PIXELS = 16 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+// Grey levels a row or column may stray from the border colour and still
+// count as a bar
+const BORDER_TOLERANCE = 24;
+// Cropping never leaves less than this share of either side
+const MIN_CONTENT_SHARE = 0.25;
+
+function imageError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.toString('latin1', 1, 4) === 'PNG';
+}
+
+// Width and height from the JPEG frame header (SOF0-SOF15, except DHT, JPG
+// and DAC), or null when there is none
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Width and height from the PNG IHDR chunk, which must come first
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function checkImageSize(size) {
+  if (!size || size.width === 0 || size.height === 0) {
+    throw imageError('Image file is damaged or incomplete');
+  }
+  if (size.width * size.height > MAX_IMAGE_PIXELS) {
+    throw imageError(`Image is too large (${size.width}x${size.height} pixels)`, 413);
+  }
+}
+
+// Decodes a JPEG or PNG into RGBA pixels
+function decodeImage(buffer) {
+  if (isJpeg(buffer)) {
+    checkImageSize(jpegSize(buffer));
+    return jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_IMAGE_PIXELS / (1024 * 1024),
+      maxMemoryUsageInMB: 128
+    });
+  }
+  if (isPng(buffer)) {
+    checkImageSize(pngSize(buffer));
+    return PNG.sync.read(buffer);
+  }
+  throw imageError('Image must be a JPEG or PNG file', 415);
+}
+
+// Rec. 601 luma, with transparent pixels treated as white
+function toGrayscale({ width, height, data }) {
+  const gray = new Float64Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+// Bars come in pairs of the same colour and about the same size; a plain
+// strip along one edge is part of the picture. Both bars are then cut to the
+// narrower one, since the picture's own edge can run into the other.
+function isBarPair(before, after, beforeColor, afterColor, length) {
+  return before > 0 && after > 0 &&
+    Math.abs(beforeColor - afterColor) <= BORDER_TOLERANCE &&
+    Math.abs(before - after) <= Math.max(2, length * 0.05);
+}
+
+// The box inside letterbox or pillarbox bars, e.g. a square cover shown in a
+// 16:9 thumbnail
+function contentBox(gray, width, height) {
+  const isBar = (from, step, count, reference) => {
+    for (let i = 0, index = from; i < count; i++, index += step) {
+      if (Math.abs(gray[index] - reference) > BORDER_TOLERANCE) return false;
+    }
+    return true;
+  };
+  const box = { left: 0, top: 0, right: width, bottom: height };
+
+  let top = 0;
+  let bottom = height;
+  while (top < height / 2 && isBar(top * width, 1, width, gray[0])) top++;
+  while (bottom > height / 2 && isBar((bottom - 1) * width, 1, width, gray[(height - 1) * width])) bottom--;
+  if (isBarPair(top, height - bottom, gray[0], gray[(height - 1) * width], height)) {
+    const bar = Math.min(top, height - bottom);
+    box.top = bar;
+    box.bottom = height - bar;
+  }
+
+  let left = 0;
+  let right = width;
+  const rows = box.bottom - box.top;
+  while (left < width / 2 && isBar(box.top * width + left, width, rows, gray[box.top * width])) left++;
+  while (right > width / 2 && isBar(box.top * width + right - 1, width, rows, gray[box.top * width + width - 1])) right--;
+  if (isBarPair(left, width - right, gray[box.top * width], gray[box.top * width + width - 1], width)) {
+    const bar = Math.min(left, width - right);
+    box.left = bar;
+    box.right = width - bar;
+  }
+
+  // Nothing much left means a plain image; hash it whole
+  if (box.bottom - box.top < height * MIN_CONTENT_SHARE || box.right - box.left < width * MIN_CONTENT_SHARE) {
+    return { left: 0, top: 0, right: width, bottom: height };
+  }
+  return box;
+}
+
+// Averages the box down to size x size cells
+function shrink(gray, width, box, size) {
+  const boxWidth = box.right - box.left;
+  const boxHeight = box.bottom - box.top;
+  const cells = new Float64Array(size * size);
+
+  for (let cy = 0; cy < size; cy++) {
+    const y0 = box.top + Math.floor(cy * boxHeight / size);
+    const y1 = Math.max(y0 + 1, box.top + Math.floor((cy + 1) * boxHeight / size));
+    for (let cx = 0; cx < size; cx++) {
+      const x0 = box.left + Math.floor(cx * boxWidth / size);
+      const x1 = Math.max(x0 + 1, box.left + Math.floor((cx + 1) * boxWidth / size));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += gray[y * width + x];
+        }
+      }
+      cells[cy * size + cx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return cells;
+}
+
+// cos((2x + 1)uπ / 2N) for the HASH_SIZE lowest frequencies u
+const DCT_TABLE = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Float64Array.from({ length: DCT_SIZE }, (__, x) => Math.cos((2 * x + 1) * u * Math.PI / (2 * DCT_SIZE))));
+
+// The lowest HASH_SIZE x HASH_SIZE coefficients of the 2-D DCT-II
+function lowFrequencies(cells) {
+  const rows = new Float64Array(DCT_SIZE * HASH_SIZE);
+  for (let y = 0; y < DCT_SIZE; y++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < DCT_SIZE; x++) {
+        sum += cells[y * DCT_SIZE + x] * DCT_TABLE[u][x];
+      }
+      rows[y * HASH_SIZE + u] = sum;
+    }
+  }
+
+  const coefficients = new Float64Array(HASH_SIZE * HASH_SIZE);
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < DCT_SIZE; y++) {
+        sum += rows[y * HASH_SIZE + u] * DCT_TABLE[v][y];
+      }
+      coefficients[v * HASH_SIZE + u] = sum;
+    }
+  }
+  return coefficients;
+}
+
+// Returns the 64-bit hash as 16 hex digits
+function hashImage(buffer) {
+  const image = decodeImage(buffer);
+  const gray = toGrayscale(image);
+  const coefficients = lowFrequencies(shrink(gray, image.width, contentBox(gray, image.width, image.height), DCT_SIZE));
+
+  // The DC term is the overall brightness and would skew the median
+  const sorted = Array.from(coefficients.subarray(1)).sort((a, b) => a - b);
+  const median = (sorted[Math.floor(sorted.length / 2)] + sorted[Math.ceil(sorted.length / 2) - 1]) / 2;
+
+  let hex = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+// Number of differing bits between two hashes (0-64)
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Ranges a fetched image must not come from: private networks, loopback,
+// link-local (including cloud metadata services), CGNAT, multicast and
+// reserved addresses. IPv4-mapped IPv6 addresses are checked as IPv4.
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails unless every address the name resolves to is public.
+// It runs as the agent connects, so the address checked is the one used.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(imageError('Image URL points to a non-public address'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Used for the first request and every redirect
+const imageAgent = new https.Agent({ lookup: publicLookup });
+
+// Images are downloaded by the server, so only https addresses are fetched:
+// no IP addresses (which skip the lookup) or local host names. Where a name
+// really points is checked when connecting, by publicLookup.
+function isPublicImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return url.protocol === 'https:' && !url.username && !url.password &&
+    host.includes('.') && !/^[\d.]+$/.test(host) && !host.startsWith('[') &&
+    host !== 'localhost' && !host.endsWith('.localhost') && !host.endsWith('.local') && !host.endsWith('.internal');
+}
+
+async function fetchImage(url) {
+  if (!isPublicImageUrl(url)) {
+    throw imageError('Image URL must be a public https address');
+  }
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_IMAGE_BYTES,
+    maxRedirects: 3,
+    httpsAgent: imageAgent,
+    // A proxy would be the address checked, not the image host
+    proxy: false,
+    beforeRedirect: options => {
+      if (!isPublicImageUrl(`${options.protocol}//${options.hostname}/`)) {
+        throw imageError('Image URL redirected to a non-public address');
+      }
+    }
+  });
+  return Buffer.from(response.data);
+}
+
+async function hashImageUrl(url) {
+  return hashImage(await fetchImage(url));
+}
+
+module.exports = {
+  IMAGE_HASH_VERSION,
+  isPublicAddress,
+  publicLookup,
+  isPublicImageUrl,
+  hashImage,
+  hashImageUrl,
+  hammingDistance
+};
@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Driver for an Anthropic-style messages API
+function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  return {
+    name: 'anthropic',
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    async complete({ system, prompt, model, temperature, maxTokens }) {
+      if (!apiKey) {
+        throw new Error('LLM provider "anthropic" is not configured');
+      }
+
+      const response = await axios.post(`${ANTHROPIC_BASE_URL}/v1/messages`, {
+        model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      }, {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'content-type': 'application/json'
+        },
+        timeout: 120000
+      });
+
+      return (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  };
+}
+
+module.exports = createAnthropicProvider;
@@ -0,0 +1,71 @@
+const createOpenAIProvider = require('./openai');
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+const createAnthropicProvider = require('./anthropic');
+const sandbox = require('../sandbox');
+
+const providerFactories = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'anthropic': createAnthropicProvider
+};
+
+const DEFAULT_MODELS = {
+  'openai': 'gpt-3.5-turbo',
+  'openai-compatible': 'local-model',
+  'anthropic': 'claude-3-haiku-20240307'
+};
+
+const providers = {};
+
+function getProvider(name) {
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown LLM provider "${name}"`);
+  }
+  if (!providers[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+}
+
+// Settings are read from the environment. Every value can be overridden per
+// plan by suffixing the variable with the plan name, e.g. LLM_MODEL_PREMIUM.
+function readSetting(key, plan) {
+  const planValue = plan ? process.env[`${key}_${plan.toUpperCase()}`] : undefined;
+  return planValue !== undefined && planValue !== '' ? planValue : process.env[key];
+}
+
+function getLlmSettings(plan) {
+  const provider = readSetting('LLM_PROVIDER', plan) || 'openai';
+  return {
+    provider,
+    model: readSetting('LLM_MODEL', plan) || DEFAULT_MODELS[provider],
+    temperature: Number(readSetting('LLM_TEMPERATURE', plan) || 0.7),
+    maxTokens: Number(readSetting('LLM_MAX_TOKENS', plan) || 2000)
+  };
+}
+
+// A replay answers from fixtures, so it needs no credentials
+function isLlmConfigured(plan) {
+  return sandbox.isReplaying() || getProvider(getLlmSettings(plan).provider).isConfigured();
+}
+
+// Sends one system + user prompt to the provider configured for the plan and
+// returns the raw text of the reply. In the sandbox, replies are recorded or
+// replayed per provider, model and prompt.
+function complete({ system, prompt, plan }) {
+  const settings = getLlmSettings(plan);
+  const request = { provider: settings.provider, model: settings.model, system, prompt };
+  return sandbox.through('llm', request, () => getProvider(settings.provider).complete({
+    system,
+    prompt,
+    model: settings.model,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens
+  }));
+}
+
+module.exports = {
+  getLlmSettings,
+  isLlmConfigured,
+  complete
+};
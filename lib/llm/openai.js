@@ -0,0 +1,35 @@
+const OpenAI = require('openai');
+
+// Driver for the OpenAI chat completions API. OPENAI_BASE_URL points it at
+// another host, such as a proxy or a stub server.
+function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, baseURL = process.env.OPENAI_BASE_URL || undefined, name = 'openai' } = {}) {
+  const client = apiKey || baseURL ? new OpenAI({ apiKey: apiKey || 'not-needed', baseURL }) : null;
+
+  return {
+    name,
+
+    isConfigured() {
+      return Boolean(client);
+    },
+
+    async complete({ system, prompt, model, temperature, maxTokens }) {
+      if (!client) {
+        throw new Error(`LLM provider "${name}" is not configured`);
+      }
+
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return completion.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,15 @@
+const createOpenAIProvider = require('./openai');
+
+// Driver for self-hosted or local servers that speak the OpenAI chat
+// completions protocol (vLLM, Ollama, llama.cpp, a local stub, ...).
+function createOpenAICompatibleProvider() {
+  const baseURL = process.env.LLM_BASE_URL;
+
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    baseURL: baseURL || null,
+    apiKey: baseURL ? (process.env.LLM_API_KEY || 'not-needed') : null
+  });
+}
+
+module.exports = createOpenAICompatibleProvider;
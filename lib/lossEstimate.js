@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+// Estimates revenue lost to flagged uploads as a range:
+//   views / 1000 × RPM for the region × share of the work reused × risk weight
+// RPM (creator revenue per 1,000 views), reuse shares and risk weights live in
+// config/lossEstimate.json (or the file named by LOSS_ESTIMATE_FILE).
+const LOSS_FILE = process.env.LOSS_ESTIMATE_FILE || path.join(__dirname, '..', 'config', 'lossEstimate.json');
+
+let cachedConfig = null;
+
+function loadLossConfig() {
+  if (!cachedConfig) {
+    cachedConfig = JSON.parse(fs.readFileSync(LOSS_FILE, 'utf8'));
+  }
+  return cachedConfig;
+}
+
+function rpmFor(config) {
+  return config.rpm[config.region] || config.rpm.default;
+}
+
+// Share of the original work an upload likely contains, as { low, high }
+function reuseShare(video, work, config) {
+  if (video.isShort) {
+    return config.reuseShare.short;
+  }
+  if (work && work.durationSeconds && video.durationSeconds) {
+    const share = Math.min(1, video.durationSeconds / work.durationSeconds);
+    return { low: share, high: share };
+  }
+  return config.reuseShare.unknownLength;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Returns { low, high, currency }, or null when the video's view count is unknown
+function estimateVideoLoss(video, work, config = loadLossConfig()) {
+  const weight = config.riskWeight[video.risk];
+  if (typeof video.viewCount !== 'number' || !weight) {
+    return null;
+  }
+  const rpm = rpmFor(config);
+  const share = reuseShare(video, work, config);
+  const thousands = video.viewCount / 1000;
+  return {
+    low: roundMoney(thousands * rpm.low * share.low * weight.low),
+    high: roundMoney(thousands * rpm.high * share.high * weight.high),
+    currency: config.currency
+  };
+}
+
+function formatMoney(value, currency, fractionDigits = 0) {
+  return value.toLocaleString('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  });
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function withoutViewsNote(count) {
+  return `${count} flagged video${count !== 1 ? 's' : ''} without a view count not included`;
+}
+
+function describeAssumptions(config, work, withoutViews) {
+  const rpm = rpmFor(config);
+  const { High, Medium } = config.riskWeight;
+  const assumptions = [
+    `${config.rpm[config.region] ? config.region : 'default'} RPM of ${formatMoney(rpm.low, config.currency, 2)}–${formatMoney(rpm.high, config.currency, 2)} per 1,000 views`,
+    `High-risk uploads weighted ${formatPercent(High.low)}–${formatPercent(High.high)} and Medium-risk ${formatPercent(Medium.low)}–${formatPercent(Medium.high)}`,
+    work && work.durationSeconds
+      ? 'share reused taken from each upload\'s length against the original'
+      : `${formatPercent(config.reuseShare.unknownLength.low)}–${formatPercent(config.reuseShare.unknownLength.high)} of the work reused (original length unknown)`,
+    `Shorts reuse ${formatPercent(config.reuseShare.short.low)}–${formatPercent(config.reuseShare.short.high)}`
+  ];
+  if (withoutViews > 0) {
+    assumptions.push(withoutViewsNote(withoutViews));
+  }
+  return assumptions;
+}
+
+// Totals of the flagged entries' estimatedLoss
+function sumLosses(rankedList) {
+  const totals = { low: 0, high: 0, estimated: 0, withoutViews: 0 };
+  rankedList.filter(video => video.risk === 'High' || video.risk === 'Medium').forEach(video => {
+    if (video.estimatedLoss) {
+      totals.low += video.estimatedLoss.low;
+      totals.high += video.estimatedLoss.high;
+      totals.estimated++;
+    } else {
+      totals.withoutViews++;
+    }
+  });
+  totals.low = roundMoney(totals.low);
+  totals.high = roundMoney(totals.high);
+  return totals;
+}
+
+// The sentence added to the analysis summary
+function describeLoss(estimate) {
+  const range = estimate.videosEstimated > 0
+    ? `${formatMoney(estimate.low, estimate.currency)} – ${formatMoney(estimate.high, estimate.currency)}`
+    : formatMoney(0, estimate.currency);
+  return `Estimated potential loss: ${range} (assumes ${estimate.assumptions.join('; ')}).`;
+}
+
+// Adds estimatedLoss to every flagged ranked_list entry, loss_estimate to the
+// analysis and the range with its assumptions to the summary. Needs the
+// entries' viewCount, so run it after attachVideoDetails.
+function applyLossEstimate(analysis, work) {
+  const config = loadLossConfig();
+
+  analysis.ranked_list = (analysis.ranked_list || []).map(video => {
+    if (video.risk !== 'High' && video.risk !== 'Medium') {
+      return video;
+    }
+    const loss = estimateVideoLoss(video, work, config);
+    return loss ? { ...video, estimatedLoss: loss } : video;
+  });
+
+  const totals = sumLosses(analysis.ranked_list);
+  analysis.loss_estimate = {
+    currency: config.currency,
+    region: config.region,
+    low: totals.low,
+    high: totals.high,
+    videosEstimated: totals.estimated,
+    videosWithoutViews: totals.withoutViews,
+    assumptions: describeAssumptions(config, work, totals.withoutViews)
+  };
+  analysis.summary = `${analysis.summary} ${describeLoss(analysis.loss_estimate)}`;
+  return analysis;
+}
+
+// Returns a copy of the analysis whose loss_estimate and summary only count
+// the given entries, so a plan that hides videos doesn't reveal their losses
+function limitLossEstimate(analysis, rankedList) {
+  const estimate = analysis.loss_estimate;
+  if (!estimate) {
+    return analysis;
+  }
+
+  const totals = sumLosses(rankedList);
+  const assumptions = estimate.assumptions.filter(assumption => assumption !== withoutViewsNote(estimate.videosWithoutViews));
+  if (totals.withoutViews > 0) {
+    assumptions.push(withoutViewsNote(totals.withoutViews));
+  }
+  assumptions.push(`only the ${rankedList.length} flagged video${rankedList.length !== 1 ? 's' : ''} shown included`);
+
+  const limited = {
+    ...estimate,
+    low: totals.low,
+    high: totals.high,
+    videosEstimated: totals.estimated,
+    videosWithoutViews: totals.withoutViews,
+    assumptions
+  };
+  return {
+    ...analysis,
+    loss_estimate: limited,
+    summary: (analysis.summary || '').replace(describeLoss(estimate), describeLoss(limited))
+  };
+}
+
+module.exports = {
+  loadLossConfig,
+  estimateVideoLoss,
+  applyLossEstimate,
+  limitLossEstimate
+};
@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport for alert and digest emails. Point SMTP_HOST/SMTP_PORT at a
+// local catcher (e.g. Mailpit on localhost:1025) to inspect mail in development.
+let transporter = null;
+
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+  return transporter;
+}
+
+async function sendMail({ to, subject, html, text, headers }) {
+  if (!isMailConfigured()) {
+    console.log(`[MAIL] SMTP not configured, skipping "${subject}" to ${to}`);
+    return null;
+  }
+
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Copyright Monitor <no-reply@localhost>',
+    to,
+    subject,
+    html,
+    text,
+    headers
+  });
+  console.log(`[MAIL] Sent "${subject}" to ${to} (${info.messageId})`);
+  return info;
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
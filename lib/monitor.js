@@ -0,0 +1,348 @@
+const { getDatabase } = require('./firebase');
+const { getUserPlan, getPlanLimits, applyPlanLimits } = require('./plans');
+const scanJobs = require('./scanJobs');
+const notifications = require('./notifications');
+const { removeScanEvidence } = require('./evidence');
+const quota = require('./quota');
+const { DEFAULT_PLATFORMS, resolvePlatforms } = require('./platforms');
+const { resolveScanInput } = require('./works');
+
+// Re-scans monitored tracks on a schedule and records what changed since the
+// previous run. Monitored tracks are indexed at monitoredTracks/<uid>_<trackId>
+// so the scheduler never has to walk every user. The full verdicts of the last
+// run are kept server-side in monitorSnapshots, because the run stored under
+// the track is limited to what the user's plan may see.
+const CHECK_INTERVAL_MS = Number(process.env.MONITOR_CHECK_INTERVAL_MS || 15 * 60 * 1000);
+// Runs kept under a track; older ones are pruned
+const MAX_SCAN_HISTORY = 30;
+// A failed run is retried after this long, doubling with every failure in a
+// row, but never later than the plan's normal interval
+const RETRY_BASE_MS = 30 * 60 * 1000;
+
+let schedulerTimer = null;
+let checking = false;
+
+function indexKey(uid, trackId) {
+  return `${uid}_${trackId}`;
+}
+
+function trackRef(uid, trackId) {
+  return getDatabase().ref(`users/${uid}/tracks/${trackId}`);
+}
+
+// Re-scans search the platforms the track was first scanned on. Tracks are
+// saved by the browser, so the list is checked again here.
+function trackPlatforms(track) {
+  try {
+    return resolvePlatforms(track.platforms);
+  } catch (error) {
+    return DEFAULT_PLATFORMS;
+  }
+}
+
+function nextRunAt(plan, from = new Date()) {
+  const hours = getPlanLimits(plan).monitoringIntervalHours;
+  return new Date(from.getTime() + hours * 3600000).toISOString();
+}
+
+function retryAt(plan, failures, from = new Date()) {
+  const intervalMs = getPlanLimits(plan).monitoringIntervalHours * 3600000;
+  const delayMs = Math.min(intervalMs, RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
+  return new Date(from.getTime() + delayMs).toISOString();
+}
+
+function frequencyFor(plan) {
+  return getPlanLimits(plan).monitoringIntervalHours <= 24 ? 'daily' : 'weekly';
+}
+
+// Returns the new monitoring state, or null when the track does not exist
+async function setMonitoring(uid, trackId, enabled) {
+  const ref = trackRef(uid, trackId);
+  const snapshot = await ref.once('value');
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const current = snapshot.child('monitoring').val() || {};
+
+  if (!enabled) {
+    const monitoring = { ...current, enabled: false, nextRunAt: null };
+    await ref.child('monitoring').set(monitoring);
+    await db.ref(`monitoredTracks/${indexKey(uid, trackId)}`).remove();
+    return monitoring;
+  }
+
+  const plan = await getUserPlan(uid);
+  const monitoring = {
+    ...current,
+    enabled: true,
+    frequency: frequencyFor(plan),
+    nextRunAt: nextRunAt(plan),
+    updatedAt: new Date().toISOString()
+  };
+  await ref.child('monitoring').set(monitoring);
+  await db.ref(`monitoredTracks/${indexKey(uid, trackId)}`).set({
+    uid,
+    trackId,
+    nextRunAt: monitoring.nextRunAt
+  });
+  await notifications.ensureDigestScheduled(uid);
+  return monitoring;
+}
+
+// visible records whether the user's plan showed the video in that run
+function toSnapshot(rankedList, visibleIds) {
+  const snapshot = {};
+  rankedList.forEach(video => {
+    snapshot[video.videoId] = {
+      title: video.title || '',
+      channel: video.channel || '',
+      risk: video.risk,
+      visible: !visibleIds || visibleIds.has(video.videoId)
+    };
+  });
+  return snapshot;
+}
+
+// Compares two { videoId: { title, channel, risk, visible } } maps. Only
+// videos the plan could see are described; everything else is counted, and
+// hiddenHighRisk says how many of those are new or newly High-risk.
+function diffSnapshots(previous, current) {
+  const diff = { newVideos: [], removedVideos: [], riskChanges: [], hiddenCount: 0, hiddenHighRisk: 0 };
+  const describe = (videoId, entry, list, extra = {}) => {
+    if (entry.visible) {
+      list.push({ videoId, title: entry.title, channel: entry.channel, ...extra });
+    } else {
+      diff.hiddenCount++;
+      if (list !== diff.removedVideos && entry.risk === 'High') {
+        diff.hiddenHighRisk++;
+      }
+    }
+  };
+
+  Object.keys(current).forEach(videoId => {
+    const entry = current[videoId];
+    const before = previous[videoId];
+    if (!before) {
+      describe(videoId, entry, diff.newVideos, { risk: entry.risk });
+    } else if (before.risk !== entry.risk) {
+      describe(videoId, entry, diff.riskChanges, { from: before.risk, to: entry.risk });
+    }
+  });
+
+  Object.keys(previous)
+    .filter(videoId => !current[videoId])
+    .forEach(videoId => {
+      const entry = previous[videoId];
+      describe(videoId, entry, diff.removedVideos, { risk: entry.risk });
+    });
+
+  return diff;
+}
+
+async function pruneScanHistory(uid, trackId) {
+  const scansRef = trackRef(uid, trackId).child('scans');
+  const snapshot = await scansRef.orderByKey().once('value');
+  const runs = snapshot.val() || {};
+  const keys = Object.keys(runs);
+  const excess = keys.slice(0, Math.max(0, keys.length - MAX_SCAN_HISTORY));
+  await Promise.all(excess.map(key => scansRef.child(key).remove()));
+  // Evidence of pruned runs goes with them
+  await removeScanEvidence(uid, excess.map(key => runs[key].scanId).filter(Boolean));
+}
+
+// Switches monitoring off when a track can no longer be scanned, and
+// records why so the tracks page can say so
+async function stopMonitoring(uid, trackId, monitoring, reason) {
+  await trackRef(uid, trackId).child('monitoring').set({
+    ...monitoring,
+    enabled: false,
+    nextRunAt: null,
+    lastStatus: 'stopped',
+    lastError: reason,
+    updatedAt: new Date().toISOString()
+  });
+  await getDatabase().ref(`monitoredTracks/${indexKey(uid, trackId)}`).remove();
+}
+
+// Runs one scheduled re-scan and stores it under the track
+async function runMonitoredScan(uid, trackId) {
+  const db = getDatabase();
+  const ref = trackRef(uid, trackId);
+  const trackSnapshot = await ref.once('value');
+  const track = trackSnapshot.val();
+
+  if (!track || !track.monitoring || !track.monitoring.enabled) {
+    await db.ref(`monitoredTracks/${indexKey(uid, trackId)}`).remove();
+    return null;
+  }
+
+  // Tracks are saved by the browser, so their scan input gets the same
+  // checks as a scan started from the form
+  let input;
+  try {
+    input = await resolveScanInput(uid, {
+      workId: track.work && track.work.id,
+      userName: track.userName,
+      channelName: track.channelName,
+      platforms: trackPlatforms(track)
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    console.warn(`[MONITOR] Stopped monitoring ${uid}/${trackId}: ${error.message}`);
+    await stopMonitoring(uid, trackId, track.monitoring, error.message);
+    return null;
+  }
+
+  // Only scans that search YouTube wait for its quota
+  if (!quota.canRunScheduledScan(uid, input.platforms)) {
+    const resetAt = quota.nextResetAt();
+    console.warn(`[MONITOR] Not enough YouTube quota left today, re-scan of ${uid}/${trackId} moved to ${resetAt}`);
+    await postponeScan(uid, trackId, resetAt);
+    return null;
+  }
+
+  const plan = await getUserPlan(uid);
+  const startedAt = new Date().toISOString();
+  console.log(`[MONITOR] Re-scanning ${uid}/${trackId} (${plan})`);
+
+  const job = await scanJobs.waitForScanJob(scanJobs.createScanJob({ uid, plan, ...input }));
+
+  // Monitoring may have been switched off (or the track deleted) mid-scan
+  const latest = (await ref.child('monitoring').once('value')).val();
+  if (!latest || !latest.enabled) {
+    return null;
+  }
+
+  const run = { scanId: job.id, startedAt, completedAt: new Date().toISOString(), status: job.status };
+
+  if (job.status === 'failed') {
+    run.error = job.error;
+    console.error(`[MONITOR] Re-scan of ${uid}/${trackId} failed: ${job.details}`);
+  } else {
+    const view = applyPlanLimits(job.result, plan);
+    const rankedList = job.result.analysis.ranked_list || [];
+    const visibleIds = new Set(view.analysis.ranked_list.map(video => video.videoId));
+
+    // The first scheduled run is compared with the analysis saved from the form
+    const snapshotRef = db.ref(`monitorSnapshots/${uid}/${trackId}`);
+    const previous = (await snapshotRef.once('value')).val()
+      || toSnapshot((track.analysis && track.analysis.ranked_list) || []);
+    const current = toSnapshot(rankedList, visibleIds);
+
+    run.totalVideosFound = job.result.totalVideosFound;
+    run.analysis = view.analysis;
+    run.truncated = view.truncated;
+    run.hiddenCount = view.hiddenCount;
+    run.diff = diffSnapshots(previous, current);
+    await snapshotRef.set(current);
+
+    const { newVideos, riskChanges, removedVideos, hiddenCount } = run.diff;
+    console.log(`[MONITOR] ${uid}/${trackId}: ${newVideos.length} new, ${riskChanges.length} risk changes, ${removedVideos.length} removed, ${hiddenCount} hidden`);
+  }
+
+  // Round-trip through JSON so optional fields left undefined are dropped
+  await ref.child('scans').push(JSON.parse(JSON.stringify(run)));
+  await pruneScanHistory(uid, trackId);
+
+  // Failures are usually upstream outages, so they are retried soon instead
+  // of skipping a whole monitoring cycle
+  const failures = run.status === 'failed' ? (latest.failures || 0) + 1 : 0;
+  const monitoring = {
+    ...latest,
+    lastRunAt: run.completedAt,
+    lastStatus: run.status,
+    lastError: run.error || null,
+    failures,
+    frequency: frequencyFor(plan),
+    nextRunAt: failures > 0 ? retryAt(plan, failures) : nextRunAt(plan)
+  };
+  await ref.child('monitoring').set(monitoring);
+  await db.ref(`monitoredTracks/${indexKey(uid, trackId)}`).set({
+    uid,
+    trackId,
+    nextRunAt: monitoring.nextRunAt
+  });
+
+  try {
+    await notifications.notifyNewHighRisk(uid, track, run);
+  } catch (error) {
+    console.error(`[NOTIFY] Could not send alert for ${uid}/${trackId}:`, error.message);
+  }
+
+  return run;
+}
+
+// Moves a scheduled re-scan to when the YouTube quota resets. Runs waiting
+// this way keep their order, since the scheduler picks due tracks by nextRunAt.
+async function postponeScan(uid, trackId, until) {
+  const ref = trackRef(uid, trackId).child('monitoring');
+  const monitoring = (await ref.once('value')).val();
+  if (!monitoring || !monitoring.enabled) {
+    await getDatabase().ref(`monitoredTracks/${indexKey(uid, trackId)}`).remove();
+    return;
+  }
+  await ref.child('nextRunAt').set(until);
+  await getDatabase().ref(`monitoredTracks/${indexKey(uid, trackId)}/nextRunAt`).set(until);
+}
+
+// Runs every track whose nextRunAt has passed, one at a time
+async function runDueScans() {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const snapshot = await getDatabase()
+      .ref('monitoredTracks')
+      .orderByChild('nextRunAt')
+      .endAt(new Date().toISOString())
+      .once('value');
+
+    const due = Object.values(snapshot.val() || {});
+    if (due.length > 0) {
+      console.log(`[MONITOR] ${due.length} monitored tracks due for a re-scan`);
+    }
+
+    for (const entry of due) {
+      try {
+        await runMonitoredScan(entry.uid, entry.trackId);
+      } catch (error) {
+        console.error(`[MONITOR] Could not re-scan ${entry.uid}/${entry.trackId}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('[MONITOR] Could not load monitored tracks:', error.message);
+  } finally {
+    checking = false;
+  }
+}
+
+function startMonitorScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+  console.log(`[MONITOR] Checking for due re-scans every ${Math.round(CHECK_INTERVAL_MS / 60000)} minutes`);
+  schedulerTimer = setInterval(runDueScans, CHECK_INTERVAL_MS);
+  schedulerTimer.unref();
+  setImmediate(runDueScans);
+}
+
+function stopMonitorScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  setMonitoring,
+  diffSnapshots,
+  retryAt,
+  runMonitoredScan,
+  runDueScans,
+  startMonitorScheduler,
+  stopMonitorScheduler
+};
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { getDatabase, getUserEmail } = require('./firebase');
+const mailer = require('./mailer');
+const templates = require('./emailTemplates');
+const { getLatestAnalysis } = require('./tracks');
+
+// Alert and digest emails. Preferences live at users/<uid>/notifications and
+// are only written by the server. Users due a weekly digest are indexed at
+// digestSchedule/<uid> so the scheduler doesn't walk every user.
+const DEFAULT_PREFERENCES = {
+  highRiskAlerts: true,
+  weeklyDigest: true,
+  // 0 = Sunday ... 6 = Saturday, sent at DIGEST_HOUR_UTC
+  digestDay: 1
+};
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC || 8);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 86400000;
+const UNSUBSCRIBE_TYPES = {
+  alerts: { highRiskAlerts: false },
+  digest: { weeklyDigest: false },
+  all: { highRiskAlerts: false, weeklyDigest: false }
+};
+
+let schedulerTimer = null;
+let checking = false;
+
+function appUrl(pathname) {
+  const base = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return base.replace(/\/$/, '') + pathname;
+}
+
+// Every email carries unsubscribe links signed with UNSUBSCRIBE_SECRET. A
+// made-up secret would break the links already sent on the next restart, so
+// no alert or digest is sent without one.
+function canSendEmail() {
+  return Boolean(process.env.UNSUBSCRIBE_SECRET);
+}
+
+function createUnsubscribeToken(uid, type) {
+  return crypto.createHmac('sha256', process.env.UNSUBSCRIBE_SECRET).update(`${uid}:${type}`).digest('hex');
+}
+
+function isValidUnsubscribeToken(uid, type, token) {
+  if (!canSendEmail() || !uid || typeof uid !== 'string' || !UNSUBSCRIBE_TYPES[type] || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(createUnsubscribeToken(uid, type));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function unsubscribeUrl(uid, type) {
+  const params = new URLSearchParams({ uid, type, token: createUnsubscribeToken(uid, type) });
+  return appUrl(`/notifications/unsubscribe?${params}`);
+}
+
+// Returns { preferences, errors }. preferences is only set when errors is empty.
+function validatePreferences(input) {
+  const body = input || {};
+  const errors = [];
+  const preferences = {};
+
+  ['highRiskAlerts', 'weeklyDigest'].forEach(key => {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+      }
+      preferences[key] = body[key];
+    }
+  });
+  if (body.digestDay !== undefined) {
+    if (!Number.isInteger(body.digestDay) || body.digestDay < 0 || body.digestDay > 6) {
+      errors.push('digestDay must be a whole number from 0 (Sunday) to 6 (Saturday)');
+    }
+    preferences.digestDay = body.digestDay;
+  }
+
+  return errors.length > 0 ? { preferences: null, errors } : { preferences, errors };
+}
+
+async function getPreferences(uid) {
+  const snapshot = await getDatabase().ref(`users/${uid}/notifications`).once('value');
+  return { ...DEFAULT_PREFERENCES, ...(snapshot.val() || {}) };
+}
+
+// Next digestDay at DIGEST_HOUR_UTC strictly after `from`
+function nextDigestAt(digestDay, from = new Date()) {
+  const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), DIGEST_HOUR_UTC));
+  next.setUTCDate(next.getUTCDate() + ((digestDay - next.getUTCDay() + 7) % 7));
+  if (next <= from) {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next.toISOString();
+}
+
+async function scheduleDigest(uid, preferences) {
+  const ref = getDatabase().ref(`digestSchedule/${uid}`);
+  if (!preferences.weeklyDigest) {
+    await ref.remove();
+    return;
+  }
+  await ref.set({ uid, nextDigestAt: nextDigestAt(preferences.digestDay) });
+}
+
+async function updatePreferences(uid, changes) {
+  const preferences = {
+    ...(await getPreferences(uid)),
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+  await getDatabase().ref(`users/${uid}/notifications`).set(preferences);
+  await scheduleDigest(uid, preferences);
+  return preferences;
+}
+
+async function unsubscribe(uid, type) {
+  return updatePreferences(uid, UNSUBSCRIBE_TYPES[type]);
+}
+
+// Called when a user starts monitoring, so they get digests without visiting profile.html
+async function ensureDigestScheduled(uid) {
+  const existing = await getDatabase().ref(`digestSchedule/${uid}`).once('value');
+  if (!existing.exists()) {
+    await scheduleDigest(uid, await getPreferences(uid));
+  }
+}
+
+function mailHeaders(uid, type) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(uid, type)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// Videos that became High-risk in a monitoring run: new uploads and risk increases
+function newHighRiskVideos(diff) {
+  return [
+    ...(diff.newVideos || []).filter(video => video.risk === 'High'),
+    ...(diff.riskChanges || []).filter(video => video.to === 'High')
+  ];
+}
+
+async function notifyNewHighRisk(uid, track, run) {
+  if (!run.diff || !canSendEmail()) {
+    return null;
+  }
+
+  const videos = newHighRiskVideos(run.diff);
+  const hiddenCount = run.diff.hiddenHighRisk || 0;
+  if (videos.length + hiddenCount === 0) {
+    return null;
+  }
+
+  const preferences = await getPreferences(uid);
+  if (!preferences.highRiskAlerts) {
+    return null;
+  }
+
+  const email = await getUserEmail(uid);
+  if (!email) {
+    console.warn(`[NOTIFY] ${uid} has no email address, skipping alert`);
+    return null;
+  }
+
+  const message = templates.renderHighRiskAlert({
+    trackName: track.trackName || track.userName,
+    videos,
+    hiddenCount,
+    tracksUrl: appUrl('/tracks.html'),
+    unsubscribeUrl: unsubscribeUrl(uid, 'alerts')
+  });
+  return mailer.sendMail({ to: email, ...message, headers: mailHeaders(uid, 'alerts') });
+}
+
+function summarizeTrack(track, since) {
+  const runs = Object.values(track.scans || {})
+    .filter(run => run.status === 'completed' && new Date(run.completedAt) >= since);
+  const rankedList = getLatestAnalysis(track).ranked_list || [];
+
+  return {
+    trackName: track.trackName || track.userName || 'Unnamed Track',
+    monitored: Boolean(track.monitoring && track.monitoring.enabled),
+    lastRunAt: track.monitoring ? track.monitoring.lastRunAt : null,
+    flaggedCount: rankedList.filter(video => video.risk === 'High' || video.risk === 'Medium').length,
+    newHighRisk: runs.reduce((sum, run) => sum + newHighRiskVideos(run.diff || {}).length + ((run.diff && run.diff.hiddenHighRisk) || 0), 0)
+  };
+}
+
+async function sendWeeklyDigest(uid) {
+  if (!canSendEmail()) {
+    return null;
+  }
+
+  const preferences = await getPreferences(uid);
+  if (!preferences.weeklyDigest) {
+    return null;
+  }
+
+  const snapshot = await getDatabase().ref(`users/${uid}/tracks`).once('value');
+  const tracks = Object.values(snapshot.val() || {});
+  if (tracks.length === 0) {
+    return null;
+  }
+
+  const email = await getUserEmail(uid);
+  if (!email) {
+    console.warn(`[NOTIFY] ${uid} has no email address, skipping digest`);
+    return null;
+  }
+
+  const since = new Date(Date.now() - WEEK_MS);
+  const message = templates.renderWeeklyDigest({
+    tracks: tracks.map(track => summarizeTrack(track, since)),
+    tracksUrl: appUrl('/tracks.html'),
+    unsubscribeUrl: unsubscribeUrl(uid, 'digest')
+  });
+  return mailer.sendMail({ to: email, ...message, headers: mailHeaders(uid, 'digest') });
+}
+
+// Sends every digest whose nextDigestAt has passed, one at a time
+async function runDueDigests() {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const snapshot = await getDatabase()
+      .ref('digestSchedule')
+      .orderByChild('nextDigestAt')
+      .endAt(new Date().toISOString())
+      .once('value');
+
+    for (const entry of Object.values(snapshot.val() || {})) {
+      try {
+        await sendWeeklyDigest(entry.uid);
+        await scheduleDigest(entry.uid, await getPreferences(entry.uid));
+      } catch (error) {
+        console.error(`[NOTIFY] Could not send digest to ${entry.uid}:`, error.message);
+        if (error.code === 'auth/user-not-found') {
+          await getDatabase().ref(`digestSchedule/${entry.uid}`).remove();
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[NOTIFY] Could not load digest schedule:', error.message);
+  } finally {
+    checking = false;
+  }
+}
+
+function startDigestScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+  if (!canSendEmail()) {
+    console.error('[NOTIFY] UNSUBSCRIBE_SECRET is not set, so alert and digest emails are disabled');
+    return;
+  }
+  schedulerTimer = setInterval(runDueDigests, CHECK_INTERVAL_MS);
+  schedulerTimer.unref();
+  setImmediate(runDueDigests);
+}
+
+function stopDigestScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  getPreferences,
+  updatePreferences,
+  isValidUnsubscribeToken,
+  unsubscribe,
+  ensureDigestScheduled,
+  nextDigestAt,
+  notifyNewHighRisk,
+  sendWeeklyDigest,
+  runDueDigests,
+  startDigestScheduler,
+  stopDigestScheduler
+};
@@ -0,0 +1,48 @@
+// Browser origins allowed to call the API: CORS_ORIGINS (comma-separated),
+// or the origin of APP_BASE_URL when that is not set. Pages served by this
+// server are always allowed.
+function allowedOrigins() {
+  const configured = (process.env.CORS_ORIGINS || process.env.APP_BASE_URL || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+  return new Set(configured.map(value => {
+    try {
+      return new URL(value).origin;
+    } catch (error) {
+      console.warn(`[CORS] Ignoring invalid origin "${value}"`);
+      return null;
+    }
+  }).filter(Boolean));
+}
+
+const ALLOWED_ORIGINS = allowedOrigins();
+// Methods a page on another site could use to change something here
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function isAllowedOrigin(req, origin) {
+  return ALLOWED_ORIGINS.has(origin) || origin === `${req.protocol}://${req.get('host')}`;
+}
+
+// Options for the cors middleware, decided per request
+function corsOptions(req, callback) {
+  const origin = req.get('Origin');
+  callback(null, { origin: Boolean(origin) && isAllowedOrigin(req, origin) });
+}
+
+// CORS only stops a browser from reading the response, so requests that
+// change something are refused outright when they come from another site.
+// Requests without an Origin header (servers, webhooks, curl) pass.
+function rejectForeignOrigins(req, res, next) {
+  const origin = req.get('Origin');
+  if (!origin || SAFE_METHODS.has(req.method) || isAllowedOrigin(req, origin)) {
+    return next();
+  }
+  console.warn(`[CORS] Refused ${req.method} ${req.path} from ${origin}`);
+  res.status(403).json({ error: 'Origin not allowed' });
+}
+
+module.exports = {
+  corsOptions,
+  rejectForeignOrigins
+};
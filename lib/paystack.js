@@ -0,0 +1,54 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// PAYSTACK_BASE_URL can point at a local stand-in during development.
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+function getSecretKey() {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('PAYSTACK_SECRET_KEY is not configured');
+  }
+  return secretKey;
+}
+
+// Looks a transaction up on Paystack and returns its `data` object.
+async function verifyTransaction(reference) {
+  const response = await axios.get(
+    `${PAYSTACK_BASE_URL}/transaction/verify/${encodeURIComponent(reference)}`,
+    {
+      headers: { Authorization: `Bearer ${getSecretKey()}` },
+      timeout: 15000
+    }
+  );
+
+  if (!response.data || !response.data.status) {
+    throw new Error((response.data && response.data.message) || 'Paystack verification failed');
+  }
+
+  return response.data.data;
+}
+
+// Paystack signs the raw request body with HMAC-SHA512 using the secret key
+// and sends the hex digest in the x-paystack-signature header.
+function isValidSignature(rawBody, signature) {
+  if (!rawBody || !signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha512', getSecretKey())
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(String(signature), 'utf8');
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+module.exports = {
+  verifyTransaction,
+  isValidSignature
+};
@@ -0,0 +1,74 @@
+const { getSubscription, isSubscriptionActive } = require('./subscriptions');
+const { limitLossEstimate } = require('./lossEstimate');
+
+// Per-plan limits applied to analysis results before they leave the server.
+// Anonymous callers are treated as free users.
+const PLAN_LIMITS = {
+  free: {
+    flaggedVideos: 5,
+    monitoringIntervalHours: 24 * 7
+  },
+  premium: {
+    flaggedVideos: Infinity,
+    monitoringIntervalHours: 24
+  }
+};
+
+async function getUserPlan(uid) {
+  if (!uid) {
+    return 'free';
+  }
+
+  try {
+    const subscription = await getSubscription(uid);
+    return isSubscriptionActive(subscription) ? 'premium' : 'free';
+  } catch (error) {
+    console.error(`[PLAN] Could not load subscription for ${uid}:`, error.message);
+    return 'free';
+  }
+}
+
+function isFlagged(video) {
+  return video.risk === 'High' || video.risk === 'Medium';
+}
+
+// Returns a copy of an /analyze result that only contains what the plan is
+// allowed to see. Only the highest-ranked flagged videos are kept, and every
+// other video (including its search metadata) is withheld, and the loss
+// estimate only counts the videos kept.
+function applyPlanLimits(result, plan) {
+  const limits = getPlanLimits(plan);
+  const rankedList = (result.analysis && result.analysis.ranked_list) || [];
+  const flagged = rankedList.filter(isFlagged);
+
+  if (flagged.length <= limits.flaggedVideos) {
+    return { ...result, plan, truncated: false, hiddenCount: 0 };
+  }
+
+  const visible = flagged.slice(0, limits.flaggedVideos);
+  const visibleIds = new Set(visible.map(video => video.videoId));
+
+  return {
+    ...result,
+    plan,
+    truncated: true,
+    hiddenCount: flagged.length - visible.length,
+    searchResults: (result.searchResults || []).filter(video => visibleIds.has(video.videoId)),
+    analysis: {
+      ...limitLossEstimate(result.analysis, visible),
+      ranked_list: visible,
+      top_priority: (result.analysis.top_priority || []).filter(videoId => visibleIds.has(videoId))
+    }
+  };
+}
+
+function getPlanLimits(plan) {
+  return PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+}
+
+module.exports = {
+  PLAN_LIMITS,
+  getPlanLimits,
+  getUserPlan,
+  applyPlanLimits
+};
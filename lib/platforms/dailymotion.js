@@ -0,0 +1,75 @@
+const axios = require('axios');
+const sandbox = require('../sandbox');
+
+const DAILYMOTION_API_URL = process.env.DAILYMOTION_API_BASE_URL || 'https://api.dailymotion.com';
+// The search API serves at most 100 results per page and 1000 per query
+const MAX_RESULTS_PER_PAGE = 100;
+const MAX_RESULTS_PER_QUERY = 1000;
+const FIELDS = ['id', 'title', 'description', 'owner.id', 'owner.screenname', 'created_time', 'duration', 'views_total', 'thumbnail_360_url', 'mode'];
+
+function toNumber(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+function videoUrl(id) {
+  return `https://www.dailymotion.com/video/${encodeURIComponent(id)}`;
+}
+
+// Ids carry the platform name so they can't be mistaken for YouTube ids,
+// in ranked lists or in the channel allowlist. Search already returns the
+// duration and view count, so results need no separate lookup.
+function toSearchResult(item) {
+  return {
+    platform: 'dailymotion',
+    videoId: `dailymotion:${item.id}`,
+    url: videoUrl(item.id),
+    title: item.title,
+    description: item.description || '',
+    channelTitle: item['owner.screenname'] || null,
+    channelId: item['owner.id'] ? `dailymotion:${item['owner.id']}` : null,
+    publishedAt: item.created_time ? new Date(item.created_time * 1000).toISOString() : null,
+    thumbnailUrl: item.thumbnail_360_url || null,
+    durationSeconds: toNumber(item.duration),
+    viewCount: toNumber(item.views_total),
+    isShort: false,
+    liveStatus: item.mode === 'live' ? 'live' : 'none'
+  };
+}
+
+// Adapter for Dailymotion's public data API, which needs no key. It pages
+// by page number, so the page size of the first request is carried in the
+// page token and kept for the rest of the query.
+function createDailymotionPlatform() {
+  return {
+    name: 'dailymotion',
+    label: 'Dailymotion',
+    operator: 'Dailymotion SA',
+    maxResultsPerPage: MAX_RESULTS_PER_PAGE,
+    // Owner ids, which pages don't link to; channel pages go by screen name
+    channelIdPattern: /^x[a-z0-9]{1,31}$/i,
+    channelIdFormat: 'dailymotion: followed by the owner ID',
+
+    isConfigured() {
+      return true;
+    },
+
+    async searchPage({ query, maxResults, pageToken }) {
+      const [page, limit] = pageToken ? pageToken.split(':').map(Number) : [1, maxResults];
+      const params = { search: query, fields: FIELDS.join(','), limit, page };
+      const data = await sandbox.through('dailymotion', { method: 'videos', params }, async () => {
+        const response = await axios.get(`${DAILYMOTION_API_URL}/videos`, { params, timeout: 30000 });
+        return response.data;
+      });
+
+      const hasMore = data.has_more && page * limit < MAX_RESULTS_PER_QUERY;
+      return {
+        items: (data.list || []).slice(0, maxResults).map(toSearchResult),
+        nextPageToken: hasMore ? `${page + 1}:${limit}` : null
+      };
+    },
+
+    videoUrl
+  };
+}
+
+module.exports = createDailymotionPlatform;
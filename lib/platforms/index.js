@@ -0,0 +1,120 @@
+const createYouTubePlatform = require('./youtube');
+const createDailymotionPlatform = require('./dailymotion');
+
+// Video platforms a scan can search. Each adapter searches its platform,
+// normalises the results to the fields the scanner and rules work with, and
+// builds canonical video URLs. Adapters provide:
+//   name, label, operator (who takedown notices go to), maxResultsPerPage
+//   channelIdPattern, channelIdFormat (how to write one, for error messages)
+//   isConfigured()
+//   searchPage({ query, maxResults, pageToken, uid }) -> { items, nextPageToken }
+//   videoUrl(id)
+// and optionally affordablePages(uid, targetResults) when searches are
+// metered, enrichVideos(videos, uid) when details need a second lookup, and
+// channelUrl(id) when channel pages can be linked by id.
+//
+// Video and channel ids from platforms other than YouTube are prefixed with
+// the platform name (dailymotion:x8abcd), so ids stay unique across
+// platforms and a video's URL can be built from its id alone. YouTube ids
+// are kept as they are, so tracks saved before other platforms existed
+// still work.
+const platformFactories = {
+  'youtube': createYouTubePlatform,
+  'dailymotion': createDailymotionPlatform
+};
+
+const DEFAULT_PLATFORMS = ['youtube'];
+
+const platforms = {};
+
+function getPlatform(name) {
+  if (!platformFactories[name]) {
+    throw new Error(`Unknown video platform "${name}"`);
+  }
+  if (!platforms[name]) {
+    platforms[name] = platformFactories[name]();
+  }
+  return platforms[name];
+}
+
+// SCAN_PLATFORMS turns platforms off for the whole deployment
+function enabledPlatformNames() {
+  const names = (process.env.SCAN_PLATFORMS || Object.keys(platformFactories).join(','))
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => platformFactories[name]);
+  return [...new Set(names)];
+}
+
+// What the new track form offers
+function listPlatforms() {
+  return enabledPlatformNames().map(name => {
+    const platform = getPlatform(name);
+    return { name, label: platform.label, configured: platform.isConfigured() };
+  });
+}
+
+// Validates the platforms asked for in a scan request. Scans that don't
+// say search YouTube, as they always have.
+function resolvePlatforms(requested) {
+  if (requested === undefined || requested === null) {
+    return [...DEFAULT_PLATFORMS];
+  }
+  const enabled = enabledPlatformNames();
+  if (!Array.isArray(requested) || requested.length === 0 || !requested.every(name => enabled.includes(name))) {
+    const error = new Error(`platforms must be a non-empty list of: ${enabled.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return [...new Set(requested)];
+}
+
+function platformOf(videoId) {
+  const prefix = String(videoId).split(':')[0];
+  return prefix !== videoId && platformFactories[prefix] ? prefix : 'youtube';
+}
+
+// The platform's own id, without the prefix
+function unprefixed(name, value) {
+  return name === 'youtube' ? value : value.slice(name.length + 1);
+}
+
+function videoUrl(videoId) {
+  const name = platformOf(videoId);
+  return getPlatform(name).videoUrl(unprefixed(name, videoId));
+}
+
+function isChannelId(channelId) {
+  if (typeof channelId !== 'string') {
+    return false;
+  }
+  const name = platformOf(channelId);
+  return getPlatform(name).channelIdPattern.test(unprefixed(name, channelId));
+}
+
+// How channel ids are written on each platform, for validation errors
+function describeChannelIdFormats() {
+  return Object.keys(platformFactories)
+    .map(name => `${getPlatform(name).label}: ${getPlatform(name).channelIdFormat}`)
+    .join('; ');
+}
+
+// A link to the channel, or its platform and id where pages can't be linked
+function describeChannel(channelId) {
+  const name = platformOf(channelId);
+  const platform = getPlatform(name);
+  const id = unprefixed(name, channelId);
+  return platform.channelUrl ? platform.channelUrl(id) : `the ${platform.label} account ${id}`;
+}
+
+module.exports = {
+  DEFAULT_PLATFORMS,
+  getPlatform,
+  listPlatforms,
+  resolvePlatforms,
+  platformOf,
+  videoUrl,
+  isChannelId,
+  describeChannelIdFormats,
+  describeChannel
+};
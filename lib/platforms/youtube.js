@@ -0,0 +1,73 @@
+const quota = require('../quota');
+const sandbox = require('../sandbox');
+const youtube = require('../youtube');
+
+function toSearchResult(item) {
+  const thumbnails = item.snippet.thumbnails || {};
+  const thumbnail = thumbnails.medium || thumbnails.default;
+  return {
+    platform: 'youtube',
+    videoId: item.id.videoId,
+    url: videoUrl(item.id.videoId),
+    title: item.snippet.title,
+    description: item.snippet.description,
+    channelTitle: item.snippet.channelTitle,
+    channelId: item.snippet.channelId,
+    publishedAt: item.snippet.publishedAt,
+    thumbnails: item.snippet.thumbnails,
+    thumbnailUrl: thumbnail ? thumbnail.url : null,
+    publishTime: item.snippet.publishTime,
+    liveBroadcastContent: item.snippet.liveBroadcastContent
+  };
+}
+
+function videoUrl(id) {
+  return `https://www.youtube.com/watch?v=${encodeURIComponent(id)}`;
+}
+
+// Adapter for the YouTube Data API. Searches are charged to the daily quota
+// meter, so a scan searches fewer queries when the quota runs low.
+function createYouTubePlatform() {
+  return {
+    name: 'youtube',
+    label: 'YouTube',
+    operator: 'YouTube, LLC',
+    maxResultsPerPage: 50,
+    channelIdPattern: /^UC[A-Za-z0-9_-]{22}$/,
+    channelIdFormat: 'UC followed by 22 characters',
+
+    isConfigured() {
+      return Boolean(process.env.YOUTUBE_API_KEY) || sandbox.isReplaying();
+    },
+
+    affordablePages(uid, targetResults) {
+      return quota.affordableSearchPages(uid, targetResults);
+    },
+
+    async searchPage({ query, maxResults, pageToken, uid }) {
+      const response = await youtube.callApi('search.list', {
+        part: 'snippet',
+        q: query,
+        type: 'video',
+        maxResults,
+        pageToken
+      }, uid);
+      return {
+        items: (response.data.items || []).map(toSearchResult),
+        nextPageToken: response.data.nextPageToken || null
+      };
+    },
+
+    channelUrl(id) {
+      return `https://www.youtube.com/channel/${encodeURIComponent(id)}`;
+    },
+
+    enrichVideos(videos, uid) {
+      return youtube.enrichVideos(videos, uid);
+    },
+
+    videoUrl
+  };
+}
+
+module.exports = createYouTubePlatform;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// Builds the list of YouTube search queries for a work. Templates and the
+// result budget live in config/searchQueries.json (or SEARCH_QUERIES_FILE).
+const QUERIES_FILE = process.env.SEARCH_QUERIES_FILE || path.join(__dirname, '..', 'config', 'searchQueries.json');
+
+let cachedConfig = null;
+
+function loadQueryConfig() {
+  if (!cachedConfig) {
+    cachedConfig = JSON.parse(fs.readFileSync(QUERIES_FILE, 'utf8'));
+  }
+  return cachedConfig;
+}
+
+const VOWELS = /[aeiou]/i;
+
+// A few typo variants of the longest word, the kind uploaders use to dodge matching
+function misspellings(title) {
+  const words = title.split(/\s+/);
+  const longest = words.reduce((best, word) => (word.length > best.length ? word : best), '');
+  if (longest.length < 4) {
+    return [];
+  }
+
+  const variants = [];
+  const collapsed = longest.replace(/(.)\1+/gi, '$1');
+  if (collapsed !== longest) {
+    variants.push(collapsed);
+  }
+
+  const vowelIndex = longest.slice(1).search(VOWELS) + 1;
+  if (vowelIndex > 0) {
+    variants.push(longest.slice(0, vowelIndex) + longest.slice(vowelIndex + 1));
+  }
+
+  const middle = Math.floor(longest.length / 2);
+  if (longest[middle - 1] !== longest[middle]) {
+    variants.push(longest.slice(0, middle - 1) + longest[middle] + longest[middle - 1] + longest.slice(middle + 1));
+  }
+
+  return variants.map(variant => words.map(word => (word === longest ? variant : word)).join(' '));
+}
+
+// Fills {placeholders}; a template that needs a value we don't have is skipped
+function fillTemplate(template, values) {
+  let missing = false;
+  const query = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!values[key]) {
+      missing = true;
+    }
+    return values[key] || '';
+  });
+  return missing ? null : query.replace(/\s+/g, ' ').trim();
+}
+
+// work is { title, artist, channelTitle }. The first query is always the
+// plain "<title> <channel>" search so results never get worse than before.
+function expandQueries(work, config = loadQueryConfig()) {
+  const values = {
+    title: (work.title || '').trim(),
+    artist: (work.artist || '').trim(),
+    channel: (work.channelTitle || '').trim()
+  };
+
+  const queries = config.templates.map(template => fillTemplate(template, values));
+
+  misspellings(values.title)
+    .slice(0, config.maxMisspellings || 0)
+    .forEach(misspelledTitle => {
+      (config.misspellingTemplates || []).forEach(template => {
+        queries.push(fillTemplate(template, { ...values, misspelledTitle }));
+      });
+    });
+
+  const seen = new Set();
+  return queries
+    .filter(query => {
+      if (!query || seen.has(query.toLowerCase())) {
+        return false;
+      }
+      seen.add(query.toLowerCase());
+      return true;
+    })
+    .slice(0, config.maxQueries);
+}
+
+// Splits what is left of the result budget evenly over the queries still to run
+function queryBudget(remaining, queriesLeft, config = loadQueryConfig()) {
+  return Math.max(config.minResultsPerQuery || 1, Math.ceil(remaining / queriesLeft));
+}
+
+module.exports = {
+  loadQueryConfig,
+  misspellings,
+  expandQueries,
+  queryBudget
+};
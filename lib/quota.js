@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const queryExpansion = require('./queryExpansion');
+const sandbox = require('./sandbox');
+
+// Meter for the YouTube Data API's daily quota. Every call is charged at its
+// documented unit cost, globally and to the user the scan runs for. Google
+// resets the quota at midnight Pacific time, so usage is kept per Pacific
+// day in QUOTA_USAGE_FILE and survives restarts. Replayed sandbox calls never
+// reach YouTube, so they are neither charged nor limited.
+const UNIT_COSTS = {
+  'search.list': 100,
+  'videos.list': 1
+};
+const DAILY_QUOTA = Number(process.env.YOUTUBE_DAILY_QUOTA || 10000);
+const USER_DAILY_QUOTA = Number(process.env.YOUTUBE_USER_DAILY_QUOTA || 3000);
+// Scheduled scans leave this much of the global quota for scans users start
+const SCHEDULED_RESERVE = Number(process.env.YOUTUBE_SCHEDULED_RESERVE || 2000);
+const USAGE_FILE = process.env.QUOTA_USAGE_FILE || path.join(__dirname, '..', '.data', 'youtube-quota.json');
+const RESULTS_PER_PAGE = 50;
+
+const pacificParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Los_Angeles',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+let usage = null;
+let saving = null;
+let saveAgain = false;
+
+function getPacificParts(date) {
+  return Object.fromEntries(pacificParts.formatToParts(date).map(part => [part.type, part.value]));
+}
+
+function pacificDay(date = new Date()) {
+  const parts = getPacificParts(date);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// How far Pacific wall-clock time is ahead of UTC at date (negative)
+function pacificOffsetMs(date) {
+  const parts = getPacificParts(date);
+  const wallClock = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+// Next midnight Pacific time, when Google resets the quota. Days are 23 or
+// 25 hours long when daylight saving time starts or ends, so the offset is
+// looked up again at the midnight itself.
+function nextResetAt(from = new Date()) {
+  const parts = getPacificParts(from);
+  const midnight = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) + 1);
+  const guess = new Date(midnight - pacificOffsetMs(from));
+  return new Date(midnight - pacificOffsetMs(guess)).toISOString();
+}
+
+function emptyUsage(day) {
+  return { day, used: 0, users: {}, calls: {} };
+}
+
+function loadUsage() {
+  try {
+    return JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[QUOTA] Could not read quota usage, starting from zero:', error.message);
+    }
+    return null;
+  }
+}
+
+// Today's usage, starting over when the Pacific day has changed
+function currentUsage() {
+  const today = pacificDay();
+  if (!usage) {
+    usage = loadUsage();
+  }
+  if (!usage || usage.day !== today) {
+    usage = emptyUsage(today);
+  }
+  return usage;
+}
+
+// Writes are chained so an older snapshot never overwrites a newer one
+function saveUsage() {
+  if (saving) {
+    saveAgain = true;
+    return;
+  }
+  saving = fs.promises.mkdir(path.dirname(USAGE_FILE), { recursive: true })
+    .then(() => fs.promises.writeFile(USAGE_FILE, JSON.stringify(usage)))
+    .catch(error => console.error('[QUOTA] Could not save quota usage:', error.message))
+    .finally(() => {
+      saving = null;
+      if (saveAgain) {
+        saveAgain = false;
+        saveUsage();
+      }
+    });
+}
+
+function quotaError(message) {
+  const resetAt = nextResetAt();
+  const error = new Error(`${message}. Retry after ${resetAt}.`);
+  error.statusCode = 429;
+  error.retryAfter = resetAt;
+  error.quotaExhausted = true;
+  return error;
+}
+
+// Units left today for uid, or globally when uid is null
+function getRemaining(uid) {
+  if (sandbox.isReplaying()) {
+    return Infinity;
+  }
+  const current = currentUsage();
+  const globalRemaining = Math.max(0, DAILY_QUOTA - current.used);
+  if (!uid) {
+    return globalRemaining;
+  }
+  return Math.min(globalRemaining, Math.max(0, USER_DAILY_QUOTA - (current.users[uid] || 0)));
+}
+
+// Throws a 429 error when the quota can't cover `units` more
+function assertAvailable(uid, units = UNIT_COSTS['search.list']) {
+  if (sandbox.isReplaying()) {
+    return;
+  }
+  const current = currentUsage();
+  if (current.used + units > DAILY_QUOTA) {
+    throw quotaError('The YouTube quota for today has been used up');
+  }
+  if (uid && (current.users[uid] || 0) + units > USER_DAILY_QUOTA) {
+    throw quotaError('You have used your YouTube search allowance for today');
+  }
+}
+
+function charge(uid, method) {
+  if (sandbox.isReplaying()) {
+    return;
+  }
+  const current = currentUsage();
+  const units = UNIT_COSTS[method];
+  current.used += units;
+  current.calls[method] = (current.calls[method] || 0) + 1;
+  if (uid) {
+    current.users[uid] = (current.users[uid] || 0) + units;
+  }
+  saveUsage();
+}
+
+// YouTube says the project's quota is gone, whatever the meter thinks
+function markExhausted() {
+  const current = currentUsage();
+  current.used = Math.max(current.used, DAILY_QUOTA);
+  saveUsage();
+}
+
+function isQuotaExceededResponse(error) {
+  const data = error.response && error.response.data && error.response.data.error;
+  return Boolean(data && (data.errors || []).some(item => item.reason === 'quotaExceeded' || item.reason === 'dailyLimitExceeded'));
+}
+
+// Most a full scan can cost: a page for every query plus the videos.list calls
+function estimateScanUnits() {
+  const { maxQueries, targetResults } = queryExpansion.loadQueryConfig();
+  return maxQueries * UNIT_COSTS['search.list'] + Math.ceil(targetResults / RESULTS_PER_PAGE) * UNIT_COSTS['videos.list'];
+}
+
+// Search pages uid can still afford, keeping enough back to look the
+// results up with videos.list
+function affordableSearchPages(uid, targetResults) {
+  const enrichUnits = Math.ceil(targetResults / RESULTS_PER_PAGE) * UNIT_COSTS['videos.list'];
+  return Math.max(0, Math.floor((getRemaining(uid) - enrichUnits) / UNIT_COSTS['search.list']));
+}
+
+// Scans that leave YouTube out, or replay recorded responses, spend no quota
+function usesYouTubeQuota(platforms) {
+  return Boolean(process.env.YOUTUBE_API_KEY) && !sandbox.isReplaying() &&
+    (!Array.isArray(platforms) || platforms.includes('youtube'));
+}
+
+// Scheduled scans only run when a whole scan fits without eating into the
+// share kept for scans users start themselves
+function canRunScheduledScan(uid, platforms) {
+  if (!usesYouTubeQuota(platforms)) {
+    return true;
+  }
+  const units = estimateScanUnits();
+  return getRemaining(null) - SCHEDULED_RESERVE >= units && getRemaining(uid) >= units;
+}
+
+function sendQuotaError(res, error) {
+  res.set('Retry-After', new Date(error.retryAfter).toUTCString());
+  res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+}
+
+// Turns scans away up front once the caller can't afford a search page.
+// Runs after optionalAuth. Mock and replayed scans make no YouTube calls,
+// and neither do scans of other platforms only.
+function requireScanQuota(req, res, next) {
+  if (!usesYouTubeQuota(req.body && req.body.platforms)) {
+    return next();
+  }
+  try {
+    assertAvailable(req.user ? req.user.uid : null);
+  } catch (error) {
+    return sendQuotaError(res, error);
+  }
+  next();
+}
+
+function getQuotaStatus() {
+  const current = currentUsage();
+  const topUsers = Object.entries(current.users)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([uid, used]) => ({ uid, used }));
+
+  return {
+    day: current.day,
+    resetAt: nextResetAt(),
+    dailyQuota: DAILY_QUOTA,
+    userDailyQuota: USER_DAILY_QUOTA,
+    scheduledReserve: SCHEDULED_RESERVE,
+    used: current.used,
+    remaining: getRemaining(null),
+    calls: current.calls,
+    unitCosts: UNIT_COSTS,
+    topUsers
+  };
+}
+
+module.exports = {
+  UNIT_COSTS,
+  pacificDay,
+  nextResetAt,
+  quotaError,
+  getRemaining,
+  assertAvailable,
+  charge,
+  markExhausted,
+  isQuotaExceededResponse,
+  affordableSearchPages,
+  canRunScheduledScan,
+  sendQuotaError,
+  requireScanQuota,
+  getQuotaStatus
+};
@@ -0,0 +1,146 @@
+const scanJobs = require('./scanJobs');
+
+// Limits how often scans can be started, since each one spends YouTube quota
+// and model tokens. Every caller draws from a token bucket for their IP
+// address, and signed-in callers from one for their account as well. A bucket
+// holds up to `burst` tokens and refills at `perHour`; each scan takes one.
+// Buckets live in memory, like scan jobs.
+const BUCKETS = {
+  ip: {
+    burst: Number(process.env.SCAN_RATE_IP_BURST || 10),
+    perHour: Number(process.env.SCAN_RATE_IP_PER_HOUR || 30)
+  },
+  user: {
+    burst: Number(process.env.SCAN_RATE_USER_BURST || 5),
+    perHour: Number(process.env.SCAN_RATE_USER_PER_HOUR || 20)
+  }
+};
+const MAX_CONCURRENT_SCANS = Number(process.env.MAX_CONCURRENT_SCANS_PER_USER || 2);
+// Scans usually finish within a couple of minutes
+const CONCURRENT_RETRY_SECONDS = 30;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const buckets = new Map();
+let lastSweepAt = Date.now();
+// Running scans per requester. A slot is taken as soon as a request passes
+// limitScans, before any await, so parallel requests can't all get past the
+// cap before their jobs exist.
+const activeScans = new Map();
+
+// Tokens in the bucket now, after refilling for the time since it was used
+function refill(key, config, now) {
+  const bucket = buckets.get(key) || { tokens: config.burst, updatedAt: now };
+  bucket.tokens = Math.min(config.burst, bucket.tokens + ((now - bucket.updatedAt) / HOUR_MS) * config.perHour);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+// Full buckets are the same as no bucket, so they are dropped now and then
+function sweep(now) {
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) {
+    return;
+  }
+  lastSweepAt = now;
+  for (const [key, bucket] of buckets) {
+    const config = BUCKETS[key.split(':')[0]];
+    if (bucket.tokens + ((now - bucket.updatedAt) / HOUR_MS) * config.perHour >= config.burst) {
+      buckets.delete(key);
+    }
+  }
+}
+
+// Takes a token from every bucket in `keys`, or from none of them. Returns
+// 0 when allowed, otherwise the seconds until a token is available in all.
+function take(keys, now = Date.now()) {
+  sweep(now);
+  const refilled = keys.map(key => ({ key, bucket: refill(key, BUCKETS[key.split(':')[0]], now) }));
+  refilled.forEach(({ key, bucket }) => buckets.set(key, bucket));
+
+  const waitSeconds = Math.max(0, ...refilled.map(({ key, bucket }) => {
+    const config = BUCKETS[key.split(':')[0]];
+    return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / config.perHour) * 3600);
+  }));
+  if (waitSeconds > 0) {
+    return waitSeconds;
+  }
+
+  refilled.forEach(({ bucket }) => {
+    bucket.tokens -= 1;
+  });
+  return 0;
+}
+
+// Whose scans count towards the concurrent scan cap
+function scanRequester(req) {
+  return req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+}
+
+function countActiveScans(requester) {
+  return activeScans.get(requester) || 0;
+}
+
+// Counts one more scan for requester. Returns a function that gives the slot
+// back; calling it again does nothing.
+function acquireSlot(requester) {
+  activeScans.set(requester, countActiveScans(requester) + 1);
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    const remaining = countActiveScans(requester) - 1;
+    if (remaining > 0) {
+      activeScans.set(requester, remaining);
+    } else {
+      activeScans.delete(requester);
+    }
+  };
+}
+
+// Hands the request's slot over to the scan job it started, which keeps it
+// until the job finishes
+function holdScanSlot(req, job) {
+  req.scanJob = job;
+  const release = acquireSlot(scanRequester(req));
+  req.releaseScanSlot();
+  scanJobs.waitForScanJob(job).then(release);
+}
+
+function sendThrottled(res, seconds, message) {
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ error: message, retryAfter: seconds });
+}
+
+// Runs after optionalAuth on the endpoints that start scans. The route must
+// pass the job it starts to holdScanSlot; a request that ends without one
+// (invalid input, no quota) gives its slot back.
+function limitScans(req, res, next) {
+  const requester = scanRequester(req);
+  if (countActiveScans(requester) >= MAX_CONCURRENT_SCANS) {
+    return sendThrottled(res, CONCURRENT_RETRY_SECONDS, `You already have ${MAX_CONCURRENT_SCANS} scans running. Wait for one to finish and try again.`);
+  }
+
+  const keys = [`ip:${req.ip}`, ...(req.user ? [`user:${req.user.uid}`] : [])];
+  const waitSeconds = take(keys);
+  if (waitSeconds > 0) {
+    console.warn(`[RATE LIMIT] Throttled scan request from ${requester}, retry in ${waitSeconds}s`);
+    return sendThrottled(res, waitSeconds, `Too many scans started. Try again in ${waitSeconds} seconds.`);
+  }
+
+  req.releaseScanSlot = acquireSlot(requester);
+  res.on('close', () => {
+    if (!req.scanJob) {
+      req.releaseScanSlot();
+    }
+  });
+  next();
+}
+
+module.exports = {
+  take,
+  countActiveScans,
+  holdScanSlot,
+  limitScans
+};
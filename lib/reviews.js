@@ -0,0 +1,95 @@
+const { getDatabase } = require('./firebase');
+const { findTrackVideos, getProfile } = require('./tracks');
+
+// Review status of each video in a saved track, at
+// users/<uid>/reviews/<trackId>/<videoId>. Reviews are written by the server
+// only, so the reviewer and timestamp can be relied on in evidence packs.
+const REVIEW_STATUSES = {
+  unreviewed: 'Unreviewed',
+  confirmed: 'Confirmed infringing',
+  false_positive: 'False positive',
+  licensed: 'Licensed',
+  takedown_filed: 'Takedown filed',
+  removed: 'Removed',
+  rejected: 'Rejected'
+};
+const MAX_REVIEW_NOTES_LENGTH = 5000;
+const MAX_VIDEOS_PER_UPDATE = 500;
+
+function statusLabel(review) {
+  return REVIEW_STATUSES[(review && review.status) || 'unreviewed'];
+}
+
+// Returns { update, errors }. update is only set when errors is empty. Notes
+// left out keep whatever each video had.
+function validateReviewUpdate(input) {
+  const body = input || {};
+  const errors = [];
+
+  if (!Array.isArray(body.videoIds) || body.videoIds.length === 0 || !body.videoIds.every(id => typeof id === 'string')) {
+    errors.push('videoIds must be a non-empty list of video IDs');
+  } else if (body.videoIds.length > MAX_VIDEOS_PER_UPDATE) {
+    errors.push(`At most ${MAX_VIDEOS_PER_UPDATE} videos can be updated at once`);
+  }
+  if (!REVIEW_STATUSES[body.status]) {
+    errors.push(`status must be one of: ${Object.keys(REVIEW_STATUSES).join(', ')}`);
+  }
+  if (body.notes !== undefined && (typeof body.notes !== 'string' || body.notes.length > MAX_REVIEW_NOTES_LENGTH)) {
+    errors.push(`notes must be a string of at most ${MAX_REVIEW_NOTES_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    return { update: null, errors };
+  }
+  return {
+    update: { videoIds: body.videoIds, status: body.status, notes: body.notes === undefined ? undefined : body.notes.trim() },
+    errors
+  };
+}
+
+async function getTrackReviews(uid, trackId) {
+  const snapshot = await getDatabase().ref(`users/${uid}/reviews/${trackId}`).once('value');
+  return snapshot.val() || {};
+}
+
+async function getAllReviews(uid) {
+  const snapshot = await getDatabase().ref(`users/${uid}/reviews`).once('value');
+  return snapshot.val() || {};
+}
+
+// Sets the status of videos in a track; videos not in the track are ignored.
+// Returns { videoId: review } for the videos that were updated.
+async function updateReviews(user, track, { videoIds, status, notes }) {
+  const videos = findTrackVideos(track, videoIds);
+  if (videos.length === 0) {
+    return {};
+  }
+
+  const existing = await getTrackReviews(user.uid, track.id);
+  const profile = await getProfile(user.uid);
+  const reviewer = { uid: user.uid, name: profile.fullName || user.email || user.uid };
+  const updatedAt = new Date().toISOString();
+
+  const reviews = {};
+  videos.forEach(video => {
+    const previous = existing[video.videoId] || {};
+    reviews[video.videoId] = {
+      status,
+      notes: notes === undefined ? previous.notes || '' : notes,
+      reviewer,
+      updatedAt
+    };
+  });
+
+  await getDatabase().ref(`users/${user.uid}/reviews/${track.id}`).update(reviews);
+  return reviews;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  statusLabel,
+  validateReviewUpdate,
+  getTrackReviews,
+  getAllReviews,
+  updateReviews
+};
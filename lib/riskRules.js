@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic implementation of the HEURISTICS section of the analysis
+// prompt. Weights, thresholds and keyword lists live in config/riskRules.json
+// (or the file named by RISK_RULES_FILE).
+const RULES_FILE = process.env.RISK_RULES_FILE || path.join(__dirname, '..', 'config', 'riskRules.json');
+
+let cachedConfig = null;
+
+function loadRulesConfig() {
+  if (!cachedConfig) {
+    cachedConfig = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  }
+  return cachedConfig;
+}
+
+const DEFAULT_CHECKLIST = [
+  'Open video and compare audio/duration',
+  'Check description for rights statement',
+  'Check channel About page',
+  'Screenshot evidence',
+  'Check YouTube Content ID/claims if visible'
+];
+
+const DEFAULT_NEXT_ACTIONS = [
+  'Contact rights owner',
+  'Use YouTube Studio -> Copyright -> Submit takedown (if owner)',
+  'Send polite removal request to uploader (template)'
+];
+
+const RISK_LEVELS = { Low: 1, Medium: 2, High: 3 };
+// Confidence given to model verdicts that don't state one
+const DEFAULT_CONFIDENCE = 0.5;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function containsPhrase(text, phrase) {
+  const normalizedPhrase = normalize(phrase);
+  return normalizedPhrase.length > 0 && ` ${text} `.includes(` ${normalizedPhrase} `);
+}
+
+function findKeywords(text, keywords) {
+  return keywords.filter(keyword => containsPhrase(text, keyword));
+}
+
+function isOwnerChannel(video, work) {
+  const channelIds = work.channelIds || [];
+  if (video.channelId && channelIds.includes(video.channelId)) {
+    return true;
+  }
+  return Boolean(work.channelTitle) && normalize(video.channelTitle) === normalize(work.channelTitle);
+}
+
+// Counts how many distinct non-owner channels uploaded each normalised title.
+// allowedChannels: the user's active allowlist entries for this work.
+function buildContext(videos, work, allowedChannels = []) {
+  const channelsByTitle = new Map();
+  const allowlist = new Map(allowedChannels.map(entry => [entry.channelId, entry]));
+
+  videos.forEach(video => {
+    if (isOwnerChannel(video, work) || allowlist.has(video.channelId)) return;
+    const key = normalize(video.title);
+    if (!channelsByTitle.has(key)) {
+      channelsByTitle.set(key, new Set());
+    }
+    channelsByTitle.get(key).add(video.channelId || video.channelTitle);
+  });
+
+  return { channelsByTitle, allowlist };
+}
+
+function riskFromScore(score, thresholds) {
+  if (score >= thresholds.high) return 'High';
+  if (score >= thresholds.medium) return 'Medium';
+  return 'Low';
+}
+
+// The part of the 0–100 score range each risk level covers
+function scoreBand(risk, thresholds) {
+  if (risk === 'High') return [thresholds.high, 100];
+  if (risk === 'Medium') return [thresholds.medium, thresholds.high - 1];
+  return [0, thresholds.medium - 1];
+}
+
+// Keeps a score inside its risk level's band, so ranking by score never puts
+// a Medium above a High. A missing score takes the middle of the band.
+function fitScore(score, risk, config = loadRulesConfig()) {
+  const [min, max] = scoreBand(risk, config.thresholds);
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    return Math.round((min + max) / 2);
+  }
+  return Math.round(Math.min(max, Math.max(min, score)));
+}
+
+function roundConfidence(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+// Owner and allowlist matches are certain; otherwise the rules grow more
+// confident with every signal that fired
+function ruleConfidence(verdict) {
+  if (verdict.signals.includes('ownerChannel') || verdict.signals.includes('allowlisted')) {
+    return 0.95;
+  }
+  return roundConfidence(Math.min(0.8, 0.4 + 0.1 * verdict.signals.length));
+}
+
+// Within tolerance of the catalogued duration, or song-length when unknown
+function matchesWorkLength(durationSeconds, work, config) {
+  const range = config.songLengthSeconds;
+  if (!range || typeof durationSeconds !== 'number') {
+    return false;
+  }
+  if (work.durationSeconds) {
+    return Math.abs(durationSeconds - work.durationSeconds) <= (range.tolerance || 0);
+  }
+  return durationSeconds >= range.min && durationSeconds <= range.max;
+}
+
+function daysBetween(from, to) {
+  return (new Date(to) - new Date(from)) / 86400000;
+}
+
+// Scores a single search result against the original work.
+// Returns a verdict shaped like a ranked_list entry plus score and signals.
+function scoreVideo(video, work, context, config = loadRulesConfig()) {
+  const { weights, keywords } = config;
+  const title = normalize(video.title);
+  const description = normalize(video.description);
+  const signals = [];
+  const rationale = [];
+
+  const verdict = {
+    videoId: video.videoId,
+    title: video.title,
+    channel: video.channelTitle,
+    publishedAt: video.publishedAt
+  };
+
+  // Channel match: treat as official, nothing else matters
+  if (isOwnerChannel(video, work)) {
+    return {
+      ...verdict,
+      risk: 'Low',
+      score: 0,
+      signals: ['ownerChannel'],
+      rationale: ['Uploaded by the original channel (likely official)'],
+      prefiltered: true
+    };
+  }
+
+  // Allowlisted channel (licensed partner, label, authorised fan page)
+  const allowed = context.allowlist && context.allowlist.get(video.channelId);
+  if (allowed) {
+    return {
+      ...verdict,
+      risk: 'Low',
+      score: 0,
+      signals: ['allowlisted'],
+      rationale: [`Channel is on your allowlist${allowed.notes ? ` (${allowed.notes})` : ''}`],
+      prefiltered: true
+    };
+  }
+
+  let score = config.baseScore;
+  const apply = (signal, reason) => {
+    score += weights[signal] || 0;
+    signals.push(signal);
+    rationale.push(reason);
+  };
+
+  const originalTitle = normalize(work.title);
+  if (originalTitle && title.includes(originalTitle)) {
+    apply('exactTitle', 'Title contains the original title');
+  } else if (originalTitle) {
+    const titleWords = originalTitle.split(' ').filter(word => word.length > 2);
+    const matched = titleWords.filter(word => containsPhrase(title, word));
+    const hasArtist = work.artist && containsPhrase(title, work.artist);
+    if (titleWords.length > 0 && matched.length / titleWords.length >= 0.6 && (hasArtist || matched.length === titleWords.length)) {
+      apply('nearTitle', 'Title is a near match of the original title');
+    }
+  }
+
+  const reproduction = findKeywords(title, keywords.reproduction);
+  if (reproduction.length > 0) {
+    apply('reproductionKeyword', `Title suggests a full reproduction ("${reproduction[0]}")`);
+  }
+
+  const derivative = findKeywords(title, keywords.derivative);
+  if (derivative.length > 0) {
+    apply('derivativeHint', `Likely derivative or transformative ("${derivative[0]}")`);
+  }
+
+  const clip = findKeywords(title, keywords.clip);
+  if (clip.length > 0) {
+    apply('clipHint', `Likely a short clip ("${clip[0]}")`);
+  }
+
+  if (description && findKeywords(description, ['full song', 'full track', 'lyrics', 'full album']).length > 0) {
+    apply('fullSongDescription', 'Description suggests the full song is included');
+  }
+
+  // Content length inference from videos.list details, when available
+  const titleMatch = signals.includes('exactTitle') || signals.includes('nearTitle');
+  if (video.isShort) {
+    apply('shortDuration', 'Short upload, unlikely to contain the full work');
+  } else if (titleMatch && matchesWorkLength(video.durationSeconds, work, config)) {
+    const minutes = Math.floor(video.durationSeconds / 60);
+    const seconds = String(video.durationSeconds % 60).padStart(2, '0');
+    apply('songLength', work.durationSeconds
+      ? `Length (${minutes}:${seconds}) matches the original work`
+      : `Length (${minutes}:${seconds}) is consistent with the full work`);
+  }
+
+  if (video.liveStatus === 'vod' || video.liveStatus === 'live') {
+    apply('liveRecording', 'Live stream recording; may be a permitted event upload');
+  }
+
+  if (findKeywords(normalize(video.channelTitle), keywords.lyricChannel).length > 0) {
+    apply('lyricChannel', 'Lyric or "official"-style channel that is not the owner');
+  }
+
+  // Perceptual-hash distance between the thumbnail and the work's cover art
+  if (typeof video.artworkDistance === 'number' && video.artworkDistance <= config.artworkMaxDistance) {
+    apply('officialArtwork', `Thumbnail reuses the official artwork (hash distance ${video.artworkDistance}/64)`);
+  }
+
+  const uploaders = context.channelsByTitle.get(title);
+  if (uploaders && uploaders.size > 1) {
+    apply('repeatedUploads', `Same title uploaded by ${uploaders.size} non-owner channels`);
+  }
+
+  // Release timing only says something about uploads that match the work
+  if (titleMatch && work.releaseDate && video.publishedAt) {
+    const days = daysBetween(work.releaseDate, video.publishedAt);
+    if (days < 0) {
+      apply('predatesRelease', 'Uploaded before the official release (may be unrelated or a live version)');
+    } else if (days <= config.releaseProximityDays) {
+      apply('releaseProximity', `Uploaded ${Math.round(days)} days after the official release`);
+    }
+  }
+
+  score = Math.max(0, Math.min(100, score));
+
+  // Ambiguity fallback: a title match with no description to go on is Medium
+  let risk = riskFromScore(score, config.thresholds);
+  if (risk === 'Low' && titleMatch && !description) {
+    risk = 'Medium';
+    rationale.push('Insufficient metadata to rule out a copy; verify manually');
+  }
+
+  return {
+    ...verdict,
+    risk,
+    score,
+    signals,
+    rationale: rationale.length > 0 ? rationale : ['No rule matched'],
+    prefiltered: score <= config.prefilterMaxScore
+  };
+}
+
+// Scores every result and returns a Map of videoId -> verdict
+function scoreVideos(videos, work, allowedChannels) {
+  const config = loadRulesConfig();
+  const context = buildContext(videos, work, allowedChannels);
+  return new Map(videos.map(video => [video.videoId, scoreVideo(video, work, context, config)]));
+}
+
+function toRankedEntry(verdict, note) {
+  const { prefiltered, ...entry } = verdict;
+  return {
+    ...entry,
+    score: fitScore(verdict.score, verdict.risk),
+    confidence: ruleConfidence(verdict),
+    rationale: note ? [note, ...verdict.rationale] : verdict.rationale,
+    source: 'rules'
+  };
+}
+
+// Builds a batch-shaped analysis from rule verdicts alone
+function buildRuleAnalysis(verdicts, note) {
+  const rankedList = verdicts.map(verdict => toRankedEntry(verdict, note));
+  return {
+    summary: `Rule-based assessment of ${rankedList.length} videos.`,
+    ranked_list: rankedList,
+    top_priority: rankedList
+      .filter(entry => entry.risk === 'High')
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 6)
+      .map(entry => entry.videoId),
+    checklist: DEFAULT_CHECKLIST,
+    next_actions: DEFAULT_NEXT_ACTIONS,
+    disclaimer: 'This is an automated risk-assessment, not legal advice; consult counsel before taking legal action.'
+  };
+}
+
+// Compares an LLM verdict with the rule verdict for the same video. An owner
+// channel or allowlist match always wins; a Low from the model that the rules rate High is
+// raised to Medium. Any disagreement is noted in the rationale and lowers the
+// confidence; agreement raises it. The score is fitted to the final risk.
+function crossCheck(item, verdict) {
+  const confidence = typeof item.confidence === 'number' ? item.confidence : DEFAULT_CONFIDENCE;
+  if (!verdict) {
+    return { ...item, score: fitScore(item.score, item.risk), confidence: roundConfidence(confidence) };
+  }
+
+  const checked = { ...item, rule_risk: verdict.risk, rule_score: verdict.score };
+  const levelGap = Math.abs(RISK_LEVELS[item.risk] - RISK_LEVELS[verdict.risk]);
+
+  if (verdict.signals.includes('ownerChannel') && item.risk !== 'Low') {
+    checked.risk = 'Low';
+    checked.confidence = ruleConfidence(verdict);
+    checked.rationale = [...item.rationale, 'Rule check: uploaded by the original channel, lowered to Low'];
+  } else if (verdict.signals.includes('allowlisted') && item.risk !== 'Low') {
+    checked.risk = 'Low';
+    checked.confidence = ruleConfidence(verdict);
+    checked.rationale = [...item.rationale, `Rule check: ${verdict.rationale[0]}, lowered to Low`];
+  } else if (item.risk === 'Low' && verdict.risk === 'High') {
+    checked.risk = 'Medium';
+    checked.confidence = roundConfidence(confidence - 0.2);
+    checked.rationale = [...item.rationale, `Rule check: ${verdict.rationale[0]}, raised to Medium`];
+  } else if (levelGap >= 2) {
+    checked.confidence = roundConfidence(confidence - 0.2);
+    checked.rationale = [...item.rationale, `Rule check disagrees (rules: ${verdict.risk})`];
+  } else {
+    // Agreement alone doesn't make a verdict certain
+    checked.confidence = roundConfidence(levelGap === 0 ? Math.max(confidence, Math.min(0.95, confidence + 0.1)) : confidence);
+  }
+
+  checked.score = fitScore(item.score, checked.risk);
+  return checked;
+}
+
+module.exports = {
+  DEFAULT_CONFIDENCE,
+  DEFAULT_CHECKLIST,
+  DEFAULT_NEXT_ACTIONS,
+  loadRulesConfig,
+  fitScore,
+  scoreVideo,
+  scoreVideos,
+  toRankedEntry,
+  buildRuleAnalysis,
+  crossCheck
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Record-and-replay for the upstream APIs (the YouTube Data API and the LLM),
+// so scans can be developed and demoed end to end without live keys or a
+// network. With SANDBOX_MODE=record calls go out as usual and every reply is
+// saved as a fixture; with SANDBOX_MODE=replay calls are answered from those
+// fixtures alone. A fixture is a JSON file at
+// SANDBOX_FIXTURES_DIR/<service>/<hash of request>.json, so the same request
+// always gets the same reply.
+const MODES = ['record', 'replay'];
+const SANDBOX_MODE = process.env.SANDBOX_MODE || '';
+const MODE = MODES.includes(SANDBOX_MODE) ? SANDBOX_MODE : null;
+const FIXTURES_DIR = process.env.SANDBOX_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+if (SANDBOX_MODE && !MODE) {
+  console.warn(`[SANDBOX] Unknown SANDBOX_MODE "${SANDBOX_MODE}", expected record or replay. Sandbox is off.`);
+} else if (MODE) {
+  console.log(`[SANDBOX] ${MODE === 'record' ? 'Recording' : 'Replaying'} upstream API calls, fixtures in ${FIXTURES_DIR}`);
+}
+
+function isRecording() {
+  return MODE === 'record';
+}
+
+function isReplaying() {
+  return MODE === 'replay';
+}
+
+// Sorts object keys and drops empty values, so requests built in a
+// different order, or with an unset optional parameter, match
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+function fixturePath(service, request) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  return path.join(FIXTURES_DIR, service, `${hash}.json`);
+}
+
+function missingFixtureError(service, file) {
+  const error = new Error(`No ${service} fixture recorded for this request (${path.basename(file)}). Record it with SANDBOX_MODE=record.`);
+  error.statusCode = 503;
+  error.fixtureMissing = true;
+  return error;
+}
+
+// Sends request through the sandbox. fetch() makes the real call and must
+// resolve to something JSON can hold. request must not contain secrets such
+// as API keys, since it is saved alongside the reply.
+async function through(service, request, fetch) {
+  if (!MODE) {
+    return fetch();
+  }
+
+  const canonical = canonicalize(request);
+  const file = fixturePath(service, canonical);
+
+  if (MODE === 'replay') {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8')).response;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw missingFixtureError(service, file);
+      }
+      throw error;
+    }
+  }
+
+  const response = await fetch();
+  const fixture = { service, recordedAt: new Date().toISOString(), request: canonical, response };
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2) + '\n');
+  } catch (error) {
+    console.warn(`[SANDBOX] Could not record ${service} fixture:`, error.message);
+  }
+  return response;
+}
+
+module.exports = {
+  isRecording,
+  isReplaying,
+  through
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { runScan, combineAnalyses } = require('./scanner');
+const { applyPlanLimits } = require('./plans');
+const { saveScanEvidence } = require('./evidence');
+const { getActiveChannels } = require('./allowlist');
+const { DEFAULT_PLATFORMS } = require('./platforms');
+
+// Scan jobs live in memory for an hour after they finish so clients can
+// reconnect to the event stream or fetch the result again (e.g. after upgrading).
+const JOB_TTL_MS = 60 * 60 * 1000;
+const jobs = new Map();
+
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+function pushEvent(job, type, data) {
+  const event = { id: job.events.length + 1, type, data };
+  job.events.push(event);
+  job.updatedAt = new Date().toISOString();
+  job.emitter.emit('event', event);
+}
+
+// Partial results are re-combined after every batch and limited to the plan
+// the scan was started with, so streaming can't bypass the paywall either.
+function buildPartialResult(job) {
+  const analysis = combineAnalyses(job.analyses, job.progress.videosAnalyzed);
+  const limited = applyPlanLimits({ analysis }, job.plan);
+  return {
+    analysis: limited.analysis,
+    truncated: limited.truncated,
+    hiddenCount: limited.hiddenCount
+  };
+}
+
+function handleScanEvent(job, type, data) {
+  const { progress } = job;
+
+  if (type === 'search_page') {
+    progress.pagesFetched = data.page;
+    progress.videosFound = data.total;
+    pushEvent(job, type, data);
+    return;
+  }
+
+  if (type === 'videos_enriched') {
+    pushEvent(job, type, data);
+    return;
+  }
+
+  // Pre-filtered and cached verdicts count as analyzed straight away
+  if (type === 'verdicts_reused') {
+    progress.videosAnalyzed += data.videoCount;
+    job.analyses.push(data.analysis);
+    pushEvent(job, type, {
+      source: data.source,
+      videoCount: data.videoCount,
+      partial: buildPartialResult(job)
+    });
+    return;
+  }
+
+  progress.totalBatches = data.totalBatches;
+
+  if (type === 'batch_split') {
+    pushEvent(job, type, {
+      batchNumber: data.batchNumber,
+      totalBatches: data.totalBatches,
+      videosInBatch: data.videosInBatch,
+      error: data.error
+    });
+    return;
+  }
+
+  progress.videosAnalyzed += data.videosInBatch;
+  job.analyses.push(data.analysis);
+
+  if (type === 'batch_completed') {
+    progress.batchesCompleted++;
+    pushEvent(job, type, {
+      batchNumber: data.batchNumber,
+      totalBatches: data.totalBatches,
+      videosInBatch: data.videosInBatch,
+      requeued: data.requeued,
+      partial: buildPartialResult(job)
+    });
+  } else if (type === 'batch_failed') {
+    progress.batchesFailed++;
+    pushEvent(job, type, {
+      batchNumber: data.batchNumber,
+      totalBatches: data.totalBatches,
+      videosInBatch: data.videosInBatch,
+      error: data.error
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  pushEvent(job, 'status', { status: job.status });
+
+  try {
+    const work = job.input.work;
+    const allowedChannels = job.uid ? await getActiveChannels(job.uid, work && work.id) : [];
+    job.result = await runScan(
+      { ...job.input, uid: job.uid, plan: job.plan, allowedChannels },
+      (type, data) => handleScanEvent(job, type, data)
+    );
+    job.status = 'completed';
+    pushEvent(job, 'completed', { result: getResultView(job, job.plan) });
+
+    // Not awaited: a slow or failed write must not hold up the scan
+    if (job.uid) {
+      saveScanEvidence(job).catch(error => {
+        console.error(`[EVIDENCE] Could not save evidence for scan ${job.id}:`, error.message);
+      });
+    }
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('❌ UNEXPECTED ERROR:', error);
+      console.error('Error stack:', error.stack);
+    }
+    job.status = 'failed';
+    job.statusCode = error.statusCode || 500;
+    job.error = error.statusCode ? error.message : 'An unexpected error occurred during analysis';
+    job.details = error.message;
+    job.retryAfter = error.retryAfter || null;
+    pushEvent(job, 'failed', { error: job.error, details: job.details, retryAfter: job.retryAfter });
+  } finally {
+    job.finishedAt = Date.now();
+    job.emitter.emit('done');
+  }
+}
+
+function createScanJob({ uid, plan, userName, channelName, work, platforms }) {
+  pruneExpiredJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    uid: uid || null,
+    plan,
+    input: { userName, channelName, work: work || null, platforms: platforms || DEFAULT_PLATFORMS },
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    progress: {
+      pagesFetched: 0,
+      videosFound: 0,
+      videosAnalyzed: 0,
+      totalBatches: null,
+      batchesCompleted: 0,
+      batchesFailed: 0
+    },
+    analyses: [],
+    events: [],
+    emitter: new EventEmitter(),
+    result: null,
+    error: null,
+    details: null,
+    statusCode: null,
+    retryAfter: null
+  };
+  job.emitter.setMaxListeners(0);
+
+  jobs.set(job.id, job);
+  setImmediate(() => runJob(job));
+  return job;
+}
+
+function getScanJob(id) {
+  return jobs.get(id) || null;
+}
+
+function waitForScanJob(job) {
+  if (isFinished(job)) {
+    return Promise.resolve(job);
+  }
+  return new Promise(resolve => job.emitter.once('done', () => resolve(job)));
+}
+
+// Calls listener for every event after lastEventId, then for new ones as they
+// happen. Returns an unsubscribe function.
+function subscribeToScanJob(job, lastEventId, listener) {
+  job.events
+    .filter(event => event.id > lastEventId)
+    .forEach(listener);
+
+  job.emitter.on('event', listener);
+  return () => job.emitter.removeListener('event', listener);
+}
+
+function getResultView(job, plan) {
+  if (!job.result) {
+    return null;
+  }
+  return { scanId: job.id, ...applyPlanLimits(job.result, plan) };
+}
+
+function getScanJobView(job, plan) {
+  return {
+    scanId: job.id,
+    status: job.status,
+    input: job.input,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    progress: job.progress,
+    error: job.error,
+    retryAfter: job.retryAfter,
+    result: getResultView(job, plan)
+  };
+}
+
+module.exports = {
+  createScanJob,
+  getScanJob,
+  waitForScanJob,
+  subscribeToScanJob,
+  getResultView,
+  getScanJobView,
+  isFinished
+};
@@ -0,0 +1,817 @@
+const crypto = require('crypto');
+const cache = require('./cache');
+const llm = require('./llm');
+const { parseBatchOutput } = require('./batchOutput');
+const riskRules = require('./riskRules');
+const youtube = require('./youtube');
+const platforms = require('./platforms');
+const queryExpansion = require('./queryExpansion');
+const lossEstimate = require('./lossEstimate');
+const artwork = require('./artwork');
+
+if (!llm.isLlmConfigured()) {
+  console.warn(`LLM provider "${llm.getLlmSettings().provider}" is not configured. Using rule-based analysis only.`);
+}
+
+// Mock data stands in when none of the platforms can be searched, e.g.
+// YouTube without a key, unless the sandbox is replaying recorded replies
+function isMockMode(platformNames = platforms.DEFAULT_PLATFORMS) {
+  return !platformNames.some(name => platforms.getPlatform(name).isConfigured());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const BATCH_SIZE = 10;
+const MAX_BATCH_ATTEMPTS = Number(process.env.LLM_BATCH_MAX_ATTEMPTS || 3);
+const RETRY_BASE_DELAY_MS = 1000;
+// Videos the model leaves out of a reply are sent again this many times
+const MAX_REQUEUES = 2;
+
+// Errors carrying the HTTP status the API should answer with
+function scanError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// One page of search results from a platform, normalised. Pages are cached
+// by platform, query, page size and page token, since a YouTube search.list
+// call costs 100 quota units.
+async function fetchSearchPage(platform, query, maxResults, pageToken, uid) {
+  const cacheKey = JSON.stringify([platform.name, query, maxResults, pageToken || '']);
+  const cached = await cache.get('search', cacheKey);
+  if (cached) {
+    return { data: cached, cached: true };
+  }
+
+  const data = await platform.searchPage({ query, maxResults, pageToken, uid });
+  await cache.set('search', cacheKey, data);
+  return { data, cached: false };
+}
+
+// Step 1: Search every platform for videos, with pagination. The result
+// budget is shared between the platforms, and whatever one of them doesn't
+// find is left to the ones after it. Returns { videos, platforms, quotaLimited }
+// where platforms are the ones actually searched.
+async function searchVideos(allQueries, platformNames, emit, uid) {
+  const videosById = new Map();
+  const { targetResults } = queryExpansion.loadQueryConfig();
+  const searched = [];
+  const failures = [];
+  const progress = { pageCount: 0 };
+  let quotaLimited = false;
+
+  for (let index = 0; index < platformNames.length; index++) {
+    const platform = platforms.getPlatform(platformNames[index]);
+    if (!platform.isConfigured()) {
+      console.warn(`[SEARCH] ${platform.label} is not configured, skipping it`);
+      continue;
+    }
+    const remaining = targetResults - videosById.size;
+    if (remaining <= 0) {
+      break;
+    }
+
+    const target = Math.ceil(remaining / (platformNames.length - index));
+    const outcome = await searchPlatform(platform, allQueries, target, { videosById, progress, emit, uid });
+    searched.push(platform.name);
+    quotaLimited = quotaLimited || outcome.quotaLimited;
+    failures.push(...outcome.failures);
+  }
+
+  // One bad query shouldn't sink the scan, but all of them failing should
+  const quotaFailure = failures.find(failure => failure.error.quotaExhausted);
+  if (videosById.size === 0 && quotaFailure) {
+    throw quotaFailure.error;
+  }
+  if (videosById.size === 0 && failures.length > 0) {
+    throw scanError(`${failures[0].platform.label} API error: ${failures[0].error.message}`, 500);
+  }
+  if (searched.length === 0) {
+    throw scanError('None of the selected platforms can be searched right now', 503);
+  }
+
+  if (videosById.size === 0) {
+    console.log('No videos found for search query');
+    throw scanError('No videos found for this channel', 404);
+  }
+
+  console.log(`Search success: Retrieved ${videosById.size} unique videos from ${searched.join(', ')} across ${progress.pageCount} pages`);
+  return { videos: [...videosById.values()], platforms: searched, quotaLimited };
+}
+
+// Runs every expanded query on one platform, spreading its share of the
+// result budget across them, and merges by videoId while recording which
+// queries found each video. When the platform's quota is running low, fewer
+// queries are searched for fewer results.
+async function searchPlatform(platform, allQueries, target, { videosById, progress, emit, uid }) {
+  const failures = [];
+  const maxResultsPerPage = platform.maxResultsPerPage;
+  const found = () => [...videosById.values()].filter(video => video.platform === platform.name).length;
+  let targetResults = target;
+  let queries = allQueries;
+
+  const affordablePages = platform.affordablePages ? Math.max(1, platform.affordablePages(uid, targetResults)) : Infinity;
+  let quotaLimited = affordablePages < queries.length;
+  if (quotaLimited) {
+    queries = queries.slice(0, affordablePages);
+    targetResults = Math.min(targetResults, affordablePages * maxResultsPerPage);
+    console.warn(`[QUOTA] ${platform.label} quota is low, searching ${queries.length}/${allQueries.length} queries for up to ${targetResults} results`);
+  }
+
+  console.log(`Fetching ${platform.label} search results for ${queries.length} queries...`);
+
+  for (let queryIndex = 0; queryIndex < queries.length; queryIndex++) {
+    const query = queries[queryIndex];
+    const remaining = targetResults - found();
+    if (remaining <= 0) {
+      break;
+    }
+
+    const budget = queryExpansion.queryBudget(remaining, queries.length - queryIndex);
+    let retrieved = 0;
+    let nextPageToken = null;
+
+    try {
+      do {
+        progress.pageCount++;
+        const page = progress.pageCount;
+        console.log(`[PAGE ${page}] Fetching "${query}" from ${platform.label}...`);
+
+        const searchResponse = await fetchSearchPage(
+          platform,
+          query,
+          Math.min(maxResultsPerPage, budget - retrieved),
+          nextPageToken,
+          uid
+        );
+        const pageResults = searchResponse.data.items;
+
+        let added = 0;
+        pageResults.forEach(video => {
+          const existing = videosById.get(video.videoId);
+          if (existing) {
+            if (!existing.matchedQueries.includes(query)) {
+              existing.matchedQueries.push(query);
+            }
+          } else {
+            videosById.set(video.videoId, { ...video, matchedQueries: [query] });
+            added++;
+          }
+        });
+
+        retrieved += pageResults.length;
+        nextPageToken = searchResponse.data.nextPageToken;
+
+        console.log(`[PAGE ${page}] Retrieved ${pageResults.length} videos${searchResponse.cached ? ' from cache' : ''}, ${added} new (Total: ${videosById.size})`);
+        emit('search_page', {
+          page,
+          platform: platform.name,
+          query,
+          queryNumber: queryIndex + 1,
+          totalQueries: queries.length,
+          retrieved: pageResults.length,
+          added,
+          total: videosById.size,
+          target: targetResults,
+          cached: searchResponse.cached
+        });
+
+        // Add a small delay between requests to avoid rate limiting
+        if (!searchResponse.cached) {
+          await sleep(500);
+        }
+
+      } while (retrieved < budget && nextPageToken && found() < targetResults);
+
+    } catch (searchError) {
+      failures.push({ platform, query, error: searchError });
+      // Searching on would fail the same way; keep what was found so far
+      if (searchError.quotaExhausted) {
+        console.warn(`[QUOTA] Stopped searching ${platform.label} at "${query}": ${searchError.message}`);
+        quotaLimited = true;
+        break;
+      }
+      console.error(`${platform.label} API Error for "${query}":`, searchError.message);
+      if (searchError.response) {
+        console.error(`${platform.label} API Response:`, searchError.response.status, searchError.response.data);
+      }
+    }
+  }
+
+  return { quotaLimited, failures };
+}
+
+// Step 1b: Add duration, statistics and live status on platforms whose
+// search results lack them. A failure here only costs the extra signals,
+// so the scan carries on with the plain results.
+async function enrichSearchResults(searchResults, emit, uid) {
+  const enrichedById = new Map();
+
+  for (const name of new Set(searchResults.map(video => video.platform))) {
+    const platform = platforms.getPlatform(name);
+    if (!platform.enrichVideos) {
+      continue;
+    }
+    try {
+      const enriched = await platform.enrichVideos(searchResults.filter(video => video.platform === name), uid);
+      enriched.forEach(video => enrichedById.set(video.videoId, video));
+    } catch (error) {
+      console.error(`[DETAILS] ${platform.label} lookup failed, continuing without details:`, error.message);
+    }
+  }
+
+  const enriched = searchResults.map(video => enrichedById.get(video.videoId) || video);
+  const enrichedCount = enriched.filter(video => video.durationSeconds !== undefined).length;
+  console.log(`[DETAILS] Added duration and statistics to ${enrichedCount}/${enriched.length} videos`);
+  emit('videos_enriched', { enriched: enrichedCount, total: enriched.length });
+  return enriched;
+}
+
+// Metadata lines for the prompt; anything not in the catalog is "not provided"
+function describeOriginalWork(work) {
+  const provided = value => (value ? `"${value}"` : 'not provided');
+  const channelIds = work.channelIds && work.channelIds.length > 0 ? work.channelIds.join(', ') : '';
+  const duration = work.durationSeconds ? `${work.durationSeconds} seconds` : '';
+
+  return [
+    `- original_title: ${provided(work.title)}`,
+    `- original_artist: ${provided(work.artist)}`,
+    `- original_channel_title: ${provided(work.channelTitle)}`,
+    `- original_channel_id: ${provided(channelIds)}`,
+    `- original_release_date: ${provided(work.releaseDate)}`,
+    `- original_duration: ${provided(duration)}`,
+    `- isrc: ${provided(work.isrc)}`,
+    `- upc: ${provided(work.upc)}`
+  ].join('\n      ');
+}
+
+// Function to analyze a batch of videos
+async function analyzeBatch(batchResults, batchNumber, totalBatches, work, plan) {
+  const { thresholds, artworkMaxDistance } = riskRules.loadRulesConfig();
+  const prompt = `
+    SYSTEM:
+    You are an expert copyright-risk analyst AI for online video platforms. You do NOT make legal determinations — instead you score and prioritize videos for likely copyright infringement using explicit heuristics and provide practical verification steps and next actions for a rights holder or reviewer.
+
+    USER / TASK:
+    Input:
+    1) A JSON search response from the YouTube Data API containing up to N search results (each item includes videoId, snippet.title, snippet.description, snippet.channelTitle, snippet.channelId, snippet.publishedAt, snippet.thumbnails, snippet.publishTime). Each item names the platform it was found on ("youtube", or another video site such as "dailymotion", whose results have the same fields). Each item also lists matchedQueries, the search queries that returned it (e.g. "<title> lyrics"). When available, items also include duration (ISO 8601), durationSeconds, viewCount, likeCount, isShort and liveStatus ("none", "live", "upcoming" or "vod" for a past livestream), and artworkDistance: how many of 64 bits differ between perceptual hashes of the thumbnail and the work's official cover art.
+    2) Metadata describing the original work:
+      ${describeOriginalWork(work)}
+
+    Goal:
+    For each video in the API results, assign a copyright infringement RISK LEVEL: "High", "Medium", or "Low", a RISK SCORE from 0 (certainly not infringing) to 100 (almost certainly infringing) and a CONFIDENCE from 0 to 1 in that assessment. Provide a succinct rationale for each assignment, rank the videos by descending risk, and produce an actionable short checklist the user can follow to verify and, if needed, act (e.g., submit takedown, contact uploader).
+
+    HEURISTICS / SCORING RULES (apply these in order; combine into final risk):
+    - Channel match:
+      - If snippet.channelId matches one of original_channel_id (comma-separated) or snippet.channelTitle matches original_channel_title → LOW risk (treat as official).
+      - If not match → continue evaluating.
+    - Exact-title match:
+      - If title contains exact original_title (case-insensitive) or near-exact with artists' names → + high-risk weight.
+    - Keywords strongly indicating reproduction: "lyrics", "official lyrics", "full song", "full track", "official video", "audio" → + high-risk weight.
+    - Derivative/transformative hints: "cover", "piano", "tutorial", "play-along", "remix", "inspired by", "shorts", "behind the scenes", "shots that didn't make" → lower risk (Medium/Low depending on whether original audio is likely included).
+    - Content type / length inference:
+      - If title contains "lyrics" or "full" or description suggests the full song → +high.
+      - If title contains "shorts", "clip", "behind the scenes", "funny" → -risk (but if it likely includes full audio still flag Medium).
+      - If durationSeconds is known: a Short or a very short upload → -risk; an upload within a few seconds of original_duration (or song-length, about 2–10 minutes, when original_duration is not provided) with a title match → +risk.
+      - A high viewCount on a likely copy → raise priority (more reach, more loss).
+    - Artwork reuse:
+      - If artworkDistance is ${artworkMaxDistance} or less, the thumbnail reuses the official cover art → +high-risk weight. Larger distances say nothing either way.
+    - Publish date context:
+      - If publish date is very close to known official release and channel is non-owner → higher suspicion.
+      - Very old uploads that predate official release may indicate original live versions or unrelated content — treat cautiously.
+    - Channel type:
+      - Lyric channels, "officials" that are not the artist, and channels with many similar uploads → higher risk.
+      - Event channels or news channels uploading live sermon / performance of the artist → likely permitted if recorded with permission (Medium or Low).
+    - Repetition / multiple uploads:
+      - If multiple non-owner channels have exact-title uploads shortly after official release → raise priority (higher risk).
+    - Ambiguity fallback:
+      - If insufficient metadata (no duration, no description), use title + channel heuristics and mark as Medium when unsure.
+
+    OUTPUT FORMAT:
+    1) Short summary paragraph (1–2 sentences) of overall assessment.
+    2) A ranked list (highest risk first) with entries for each video:
+      - videoId — title — channelTitle — publishedAt — RISK (High/Medium/Low) — SCORE (0–100) — CONFIDENCE (0–1)
+      - rationale (1–2 short bullets explaining why)
+    3) Top 5 highest-risk videos listed separately for prioritized manual review.
+    4) A verification checklist the reviewer should follow for each flagged video (exact actions to confirm infringement).
+    5) Suggested next actions depending on outcome (e.g., gather evidence, contact uploader, submit DMCA takedown via YouTube Studio), and a short, neutral DMCA template placeholder if the user says they own the rights.
+    6) A one-line legal disclaimer: "This is an automated risk-assessment, not legal advice; consult counsel before taking legal action."
+
+    OUTPUT STYLE / CONSTRAINTS:
+    - Be concise and practical. Use plain language.
+    - Do NOT assert that a video is definitely infringing; use "likely", "possible", "probable".
+    - Prioritize clarity for a human reviewer who will manually check the top items.
+    - Provide the result as JSON with keys: summary, ranked_list (array), top_priority (array), checklist (array), next_actions (array), disclaimer (string).
+
+    EXAMPLE (concise) JSON SCHEMA:
+    {
+      "summary": "...",
+      "ranked_list": [
+        {"videoId":"...","title":"...","channel":"...","publishedAt":"...","risk":"High","score":85,"confidence":0.7,"rationale":["...","..."]},
+        ...
+      ],
+      "top_priority": ["videoId1","videoId2",...],
+      "checklist": ["Open video and compare audio/duration","Check description for rights statement","Check channel About page","Screenshot evidence","Check YouTube Content ID/claims if visible"],
+      "next_actions": ["Contact rights owner","Use YouTube Studio -> Copyright -> Submit takedown (if owner)","Send polite removal request to uploader (template)"],
+      "disclaimer": "..."
+    }
+
+    ADDITIONAL NOTES:
+    - If original_channel_id is provided, rely on it (more authoritative than channelTitle).
+    - If you detect the same channel across multiple "official"-looking videos, tag them Low risk even if titles are identical.
+    - When in doubt, mark Medium and include a short note on what to check to escalate to High.
+    - Scores should agree with the risk level (roughly High ${thresholds.high}–100, Medium ${thresholds.medium}–${thresholds.high - 1}, Low 0–${thresholds.medium - 1}). Use a low confidence when metadata is thin or the signals conflict.
+    - Keep responses short; include no more than 6 top-priority items.
+
+    Here are the search results to analyze (Batch ${batchNumber} of ${totalBatches}):
+    ${JSON.stringify(batchResults, null, 2)}
+
+    Please provide your analysis in the specified JSON format.
+  `;
+
+  return llm.complete({
+    system: "You are a copyright expert analyzing YouTube videos for potential infringement issues.",
+    prompt,
+    plan
+  });
+}
+
+// Analyzes and validates one batch, retrying with exponential backoff.
+// Errors caused by an unusable reply are flagged with invalidOutput.
+async function analyzeBatchWithRetry(batch, batchNumber, totalBatches, work, plan) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_BATCH_ATTEMPTS; attempt++) {
+    try {
+      const content = await analyzeBatch(batch, batchNumber, totalBatches, work, plan);
+      try {
+        return parseBatchOutput(content, batch);
+      } catch (parseError) {
+        parseError.invalidOutput = true;
+        throw parseError;
+      }
+    } catch (error) {
+      lastError = error;
+      // A replay without a fixture fails the same way every time
+      if (error.fixtureMissing) {
+        break;
+      }
+      if (attempt < MAX_BATCH_ATTEMPTS) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`[BATCH ${batchNumber}/${totalBatches}] ⚠️ Attempt ${attempt}/${MAX_BATCH_ATTEMPTS} failed: ${error.message}. Retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+// Bump when the prompt changes so verdicts it gave before are not reused
+const PROMPT_VERSION = 4;
+// Video fields that can change a verdict. Counts such as viewCount change on
+// every scan and are left out, or no verdict would ever be reused.
+const VERDICT_VIDEO_FIELDS = ['title', 'description', 'channelId', 'channelTitle', 'publishedAt', 'durationSeconds', 'isShort', 'liveStatus', 'artworkDistance'];
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Verdicts are cached per prompt version, work and video. Works typed in
+// without a catalog entry are keyed by their metadata instead of an id.
+function verdictCacheKey(video, work) {
+  const workKey = work.id || `adhoc-${hashText(describeOriginalWork(work)).slice(0, 16)}`;
+  return `v${PROMPT_VERSION}:${workKey}:${video.videoId}`;
+}
+
+// A cached verdict is only reused when the video, the work's metadata and
+// the model are all unchanged
+function verdictFingerprint(video, work, plan) {
+  const { provider, model } = llm.getLlmSettings(plan);
+  const fields = VERDICT_VIDEO_FIELDS.map(field => (video[field] === undefined ? null : video[field]));
+  return hashText(JSON.stringify([describeOriginalWork(work), fields, provider, model]));
+}
+
+// Returns { verdicts, uncached }: the cached model verdicts that still apply,
+// and the videos that have to go to the model
+async function loadCachedVerdicts(videos, work, plan) {
+  const entries = await Promise.all(videos.map(video => cache.get('verdicts', verdictCacheKey(video, work))));
+  const verdicts = [];
+  const uncached = [];
+  videos.forEach((video, index) => {
+    const entry = entries[index];
+    if (entry && entry.fingerprint === verdictFingerprint(video, work, plan)) {
+      verdicts.push(entry.verdict);
+    } else {
+      uncached.push(video);
+    }
+  });
+  return { verdicts, uncached };
+}
+
+// items: a batch's ranked_list as the model returned it, before the rule cross-check
+async function cacheVerdicts(items, batch, work, plan) {
+  const videosById = new Map(batch.map(video => [video.videoId, video]));
+  await Promise.all(items.filter(item => videosById.has(item.videoId)).map(item => {
+    const video = videosById.get(item.videoId);
+    return cache.set('verdicts', verdictCacheKey(video, work), {
+      fingerprint: verdictFingerprint(video, work, plan),
+      verdict: item
+    });
+  }));
+}
+
+// Builds a batch-shaped analysis from reused verdicts
+function buildCachedAnalysis(rankedList) {
+  return {
+    summary: `Reused earlier verdicts for ${rankedList.length} unchanged videos.`,
+    ranked_list: rankedList,
+    top_priority: rankedList.filter(entry => entry.risk === 'High').slice(0, 6).map(entry => entry.videoId),
+    checklist: riskRules.DEFAULT_CHECKLIST,
+    next_actions: riskRules.DEFAULT_NEXT_ACTIONS,
+    disclaimer: 'This is an automated risk-assessment, not legal advice; consult counsel before taking legal action.'
+  };
+}
+
+// Runs a complete scan: search, batched analysis and combining.
+// Progress is reported through emit(type, data) as each step finishes:
+// search_page, videos_enriched, verdicts_reused (videos settled without a
+// model batch), batch_completed, batch_split and batch_failed.
+// work is the catalog entry for the original work, when the user picked one.
+// platforms are the names of the platforms to search. YouTube calls are
+// charged to uid's daily quota.
+async function runScan({ uid = null, userName, channelName, work: catalogWork, platforms: platformNames = platforms.DEFAULT_PLATFORMS, plan, allowedChannels = [] }, emit = () => {}) {
+  console.log(`[ANALYSIS START] User: ${userName}, Channel: ${channelName}, Platforms: ${platformNames.join(', ')}`);
+
+  // If no API keys, use mock data
+  if (isMockMode(platformNames)) {
+    console.log('Using mock data mode - API keys not found');
+    return generateMockResults(userName, channelName);
+  }
+
+  const work = catalogWork || { title: userName, channelTitle: channelName };
+  const queries = queryExpansion.expandQueries(work);
+
+  const { videos: foundVideos, platforms: searchedPlatforms, quotaLimited } = await searchVideos(queries, platformNames, emit, uid);
+  const allSearchResults = await enrichSearchResults(foundVideos, emit, uid);
+  await artwork.annotateArtworkMatches(allSearchResults, work);
+
+  // Score everything with the rule engine first. Its verdicts pre-filter
+  // obvious cases (including owner and allowlisted channels), cross-check the
+  // model and stand in when the model can't.
+  const ruleVerdicts = riskRules.scoreVideos(allSearchResults, work, allowedChannels);
+  const ruleFallback = (video, reason) => riskRules.toRankedEntry(ruleVerdicts.get(video.videoId), reason);
+
+  const allAnalyses = [];
+  const failedBatches = [];
+
+  if (!llm.isLlmConfigured(plan)) {
+    console.log('[RULES] No LLM provider configured - using rule-based verdicts for all videos');
+    const rulesAnalysis = riskRules.buildRuleAnalysis([...ruleVerdicts.values()]);
+    allAnalyses.push(rulesAnalysis);
+    emit('batch_completed', {
+      batchNumber: 1,
+      totalBatches: 1,
+      videosInBatch: allSearchResults.length,
+      requeued: 0,
+      analysis: rulesAnalysis
+    });
+    return buildScanResult({ userName, channelName, work: catalogWork, platforms: searchedPlatforms, queries, quotaLimited, allSearchResults, allAnalyses, failedBatches });
+  }
+
+  const prefiltered = allSearchResults.filter(video => ruleVerdicts.get(video.videoId).prefiltered);
+  const candidates = allSearchResults.filter(video => !ruleVerdicts.get(video.videoId).prefiltered);
+
+  if (prefiltered.length > 0) {
+    console.log(`[RULES] Pre-filtered ${prefiltered.length} videos as Low risk without the LLM`);
+    const rulesAnalysis = riskRules.buildRuleAnalysis(prefiltered.map(video => ruleVerdicts.get(video.videoId)));
+    allAnalyses.push(rulesAnalysis);
+    emit('verdicts_reused', { source: 'rules', videoCount: prefiltered.length, analysis: rulesAnalysis });
+  }
+
+  // Unchanged videos keep the verdict the model gave them before; rules are
+  // re-applied since the allowlist or rule settings may have changed
+  const { verdicts: cachedVerdicts, uncached: toAnalyze } = await loadCachedVerdicts(candidates, work, plan);
+  if (cachedVerdicts.length > 0) {
+    console.log(`[CACHE] Reused model verdicts for ${cachedVerdicts.length} unchanged videos`);
+    const cachedAnalysis = buildCachedAnalysis(
+      cachedVerdicts.map(item => riskRules.crossCheck(item, ruleVerdicts.get(item.videoId)))
+    );
+    allAnalyses.push(cachedAnalysis);
+    emit('verdicts_reused', { source: 'cache', videoCount: cachedVerdicts.length, analysis: cachedAnalysis });
+  }
+
+  // Step 2: Analyze results in batches of 10
+  // Batches that keep returning unusable output are split in half, and videos
+  // the model skipped are queued again, so every result ends up with a verdict.
+  const queue = [];
+  for (let i = 0; i < toAnalyze.length; i += BATCH_SIZE) {
+    queue.push({ videos: toAnalyze.slice(i, i + BATCH_SIZE), requeues: 0 });
+  }
+
+  console.log(`Starting batch analysis: ${queue.length} batches of ${BATCH_SIZE} videos each (Total: ${toAnalyze.length} videos)`);
+
+  let batchNumber = 0;
+  while (queue.length > 0) {
+    const { videos: batch, requeues } = queue.shift();
+    batchNumber++;
+    const totalBatches = batchNumber + queue.length;
+
+    console.log(`[BATCH ${batchNumber}/${totalBatches}] Analyzing ${batch.length} videos...`);
+
+    try {
+      const { analysis: batchAnalysis, missing } = await analyzeBatchWithRetry(
+        batch, batchNumber, totalBatches, work, plan
+      );
+      await cacheVerdicts(batchAnalysis.ranked_list, batch, work, plan);
+      batchAnalysis.ranked_list = batchAnalysis.ranked_list.map(item =>
+        riskRules.crossCheck(item, ruleVerdicts.get(item.videoId))
+      );
+
+      let requeued = 0;
+      if (missing.length > 0 && requeues < MAX_REQUEUES) {
+        queue.push({ videos: missing, requeues: requeues + 1 });
+        requeued = missing.length;
+        console.warn(`[BATCH ${batchNumber}/${totalBatches}] ↩️ Model skipped ${missing.length} videos, re-queued`);
+      } else if (missing.length > 0) {
+        batchAnalysis.ranked_list.push(
+          ...missing.map(video => ruleFallback(video, 'Rule-based verdict: the model returned no verdict for this video'))
+        );
+      }
+
+      allAnalyses.push(batchAnalysis);
+      console.log(`[BATCH ${batchNumber}/${totalBatches}] ✅ Analysis completed successfully`);
+      emit('batch_completed', {
+        batchNumber,
+        totalBatches: batchNumber + queue.length,
+        videosInBatch: batch.length - requeued,
+        requeued,
+        analysis: batchAnalysis
+      });
+
+      // Add delay between batches to avoid rate limiting
+      if (queue.length > 0) {
+        console.log(`[BATCH ${batchNumber}/${totalBatches}] ⏳ Waiting 1 second before next batch...`);
+        await sleep(1000);
+      }
+    } catch (openaiError) {
+      if (openaiError.invalidOutput && batch.length > 1) {
+        const half = Math.ceil(batch.length / 2);
+        queue.unshift(
+          { videos: batch.slice(0, half), requeues },
+          { videos: batch.slice(half), requeues }
+        );
+        console.warn(`[BATCH ${batchNumber}/${totalBatches}] ✂️ Output unusable after ${MAX_BATCH_ATTEMPTS} attempts, splitting into batches of ${half} and ${batch.length - half}`);
+        emit('batch_split', {
+          batchNumber,
+          totalBatches: batchNumber + queue.length,
+          videosInBatch: batch.length,
+          error: openaiError.message
+        });
+        continue;
+      }
+
+      console.error(`[BATCH ${batchNumber}/${totalBatches}] ❌ ANALYSIS FAILED:`, openaiError.message);
+      console.error(`[BATCH ${batchNumber}/${totalBatches}] Error details:`, {
+        message: openaiError.message,
+        stack: openaiError.stack,
+        batchSize: batch.length,
+        videoIds: batch.map(video => video.videoId)
+      });
+
+      failedBatches.push({
+        batchNumber,
+        error: openaiError.message,
+        videosInBatch: batch.length
+      });
+
+      // Keep the structure of a batch result, with a rule-based verdict for
+      // each video so none of them silently disappear
+      const placeholder = {
+        summary: `Analysis failed for batch ${batchNumber}`,
+        ranked_list: batch.map(video => ruleFallback(video, 'Rule-based verdict: model analysis failed for this video')),
+        top_priority: [],
+        checklist: [],
+        next_actions: [],
+        disclaimer: "Analysis incomplete due to API error",
+        batch_failed: true,
+        batch_number: batchNumber
+      };
+      allAnalyses.push(placeholder);
+      emit('batch_failed', {
+        batchNumber,
+        totalBatches,
+        videosInBatch: batch.length,
+        error: openaiError.message,
+        analysis: placeholder
+      });
+    }
+  }
+
+  // Log batch summary
+  console.log(`[BATCH SUMMARY] Completed: ${allAnalyses.length - failedBatches.length}/${allAnalyses.length} batches successful`);
+  if (failedBatches.length > 0) {
+    console.error(`[BATCH SUMMARY] ❌ Failed batches: ${failedBatches.length}`);
+    failedBatches.forEach(failed => {
+      console.error(`  - Batch ${failed.batchNumber}: ${failed.error}`);
+    });
+  } else {
+    console.log(`[BATCH SUMMARY] ✅ All batches completed successfully`);
+  }
+
+  return buildScanResult({ userName, channelName, work: catalogWork, platforms: searchedPlatforms, queries, quotaLimited, allSearchResults, allAnalyses, failedBatches });
+}
+
+// Step 3: Combine all batch analyses
+function buildScanResult({ userName, channelName, work, platforms: searchedPlatforms, queries, quotaLimited, allSearchResults, allAnalyses, failedBatches }) {
+  console.log('Combining batch analyses...');
+  const finalAnalysis = combineAnalyses(allAnalyses, allSearchResults.length);
+  finalAnalysis.ranked_list = youtube.attachVideoDetails(finalAnalysis.ranked_list, allSearchResults);
+  lossEstimate.applyLossEstimate(finalAnalysis, work);
+  console.log(`[FINAL ANALYSIS] Combined ${allAnalyses.length} batch analyses`);
+
+  console.log(`[ANALYSIS COMPLETE] ${allSearchResults.length} videos analyzed`);
+  return {
+    userName,
+    query: channelName,
+    work: work || null,
+    platforms: searchedPlatforms,
+    queries,
+    totalVideosFound: allSearchResults.length,
+    quotaLimited: Boolean(quotaLimited),
+    batchesAnalyzed: allAnalyses.length,
+    batchesFailed: failedBatches.length,
+    failedBatchDetails: failedBatches,
+    searchResults: allSearchResults,
+    analysis: finalAnalysis
+  };
+}
+
+const MAX_TOP_PRIORITY = 10;
+const MAX_GUIDANCE_ITEMS = 8;
+
+// Checklist or next-action items from every successful batch, without
+// repeats (compared ignoring case)
+function mergeGuidance(analyses, key) {
+  const seen = new Set();
+  return analyses.flatMap(analysis => analysis[key] || []).filter(item => {
+    const normalized = String(item).trim().toLowerCase();
+    if (!normalized || seen.has(normalized)) {
+      return false;
+    }
+    seen.add(normalized);
+    return true;
+  }).slice(0, MAX_GUIDANCE_ITEMS);
+}
+
+// A video can be judged twice, e.g. by a rule fallback and a later batch.
+// The more confident verdict wins, then the higher score.
+function isBetterVerdict(candidate, current) {
+  return candidate.confidence > current.confidence ||
+    (candidate.confidence === current.confidence && candidate.score > current.score);
+}
+
+// Function to combine multiple batch analyses into one comprehensive analysis.
+// Videos are de-duplicated across batches and ranked by score, then confidence.
+function combineAnalyses(analyses, totalVideos) {
+  console.log(`Combining ${analyses.length} analyses for ${totalVideos} total videos`);
+
+  const byVideoId = new Map();
+  analyses.flatMap(analysis => analysis.ranked_list || []).forEach(item => {
+    const entry = {
+      ...item,
+      score: riskRules.fitScore(item.score, item.risk),
+      confidence: typeof item.confidence === 'number' ? item.confidence : riskRules.DEFAULT_CONFIDENCE
+    };
+    const current = byVideoId.get(entry.videoId);
+    if (!current || isBetterVerdict(entry, current)) {
+      byVideoId.set(entry.videoId, entry);
+    }
+  });
+
+  const rankedList = [...byVideoId.values()].sort((a, b) => b.score - a.score || b.confidence - a.confidence);
+  // The riskiest flagged videos across every batch
+  const topPriority = rankedList
+    .filter(item => item.risk !== 'Low')
+    .slice(0, MAX_TOP_PRIORITY)
+    .map(item => item.videoId);
+
+  const successfulAnalyses = analyses.filter(a => !a.batch_failed);
+  const disclaimer = successfulAnalyses[0]?.disclaimer || "This is an automated risk-assessment, not legal advice; consult counsel before taking legal action.";
+
+  // Create combined summary
+  const totalHighRisk = rankedList.filter(item => item.risk === 'High').length;
+  const totalMediumRisk = rankedList.filter(item => item.risk === 'Medium').length;
+
+  const failedBatches = analyses.filter(a => a.batch_failed).length;
+  const totalRisk = totalHighRisk + totalMediumRisk;
+  const summary = `We found ${totalRisk} Movies with Possible infringement. ${
+    totalHighRisk > 0
+      ? 'Immediate attention recommended for high-risk content.'
+      : 'No immediate high-risk concerns detected.'
+  }`;
+
+  console.log(`Combined analysis: ${rankedList.length} ranked items, ${topPriority.length} top priority`);
+
+  return {
+    summary,
+    ranked_list: rankedList,
+    top_priority: topPriority,
+    checklist: mergeGuidance(successfulAnalyses, 'checklist'),
+    next_actions: mergeGuidance(successfulAnalyses, 'next_actions'),
+    disclaimer,
+    batch_count: analyses.length,
+    failed_batches: failedBatches
+  };
+}
+
+// Mock data generator for when API keys are not available
+function generateMockResults(userName, channelName) {
+  console.log('Generating mock results for testing');
+  
+  const searchResults = [];
+  
+  // Generate 100 mock results with pagination simulation
+  for (let i = 1; i <= 100; i++) {
+    searchResults.push({
+      platform: 'youtube',
+      videoId: `mock_video_${i}`,
+      title: `${userName} - ${channelName} Content ${i}`,
+      description: `This is a description for ${userName} ${channelName} video ${i}`,
+      channelTitle: i % 5 === 0 ? channelName : `Other Channel ${i}`,
+      channelId: `channel_${i}`,
+      publishedAt: new Date(Date.now() - i * 86400000).toISOString(),
+      thumbnails: {
+        default: {
+          url: `https://via.placeholder.com/120x90.png?text=Thumbnail+${i}`,
+          width: 120,
+          height: 90
+        }
+      },
+      publishTime: new Date(Date.now() - i * 86400000).toISOString(),
+      duration: i % 7 === 0 ? 'PT45S' : `PT${2 + (i % 4)}M${10 + i % 50}S`,
+      durationSeconds: i % 7 === 0 ? 45 : (2 + (i % 4)) * 60 + 10 + i % 50,
+      viewCount: 1000 * i,
+      likeCount: 20 * i,
+      isShort: i % 7 === 0,
+      liveStatus: i % 11 === 0 ? 'vod' : 'none',
+      matchedQueries: i % 3 === 0 ? [`${userName} ${channelName}`, `${userName} lyrics`] : [`${userName} ${channelName}`]
+    });
+  }
+
+  // Mock analysis for 100 videos (simplified)
+  const analysis = {
+    summary: `Based on the search results for "${userName} ${channelName}", we analyzed 100 videos across 10 batches. Found 15 high-risk, 25 medium-risk, and 60 low-risk videos. Immediate attention recommended for high-risk content.`,
+    ranked_list: searchResults.slice(0, 20).map((result, index) => ({
+      videoId: result.videoId,
+      title: result.title,
+      channel: result.channelTitle,
+      publishedAt: result.publishedAt,
+      risk: index < 5 ? "High" : index < 10 ? "Medium" : "Low",
+      score: riskRules.fitScore(95 - index * 5, index < 5 ? "High" : index < 10 ? "Medium" : "Low"),
+      confidence: 0.6,
+      rationale: [
+        index < 5 ? "Exact title match with original content" : "Possible infringement",
+        index < 5 ? "Uploaded by unauthorized channel" : "Requires manual verification"
+      ]
+    })),
+    top_priority: ["mock_video_1", "mock_video_2", "mock_video_3", "mock_video_4", "mock_video_5"],
+    checklist: [
+      "Open video and compare audio/duration",
+      "Check description for rights statement",
+      "Check channel About page",
+      "Screenshot evidence",
+      "Check YouTube Content ID/claims if visible"
+    ],
+    next_actions: [
+      "Contact rights owner",
+      "Use YouTube Studio -> Copyright -> Submit takedown (if owner)",
+      "Send polite removal request to uploader (template)"
+    ],
+    disclaimer: "This is an automated risk-assessment, not legal advice; consult counsel before taking legal action.",
+    batch_count: 10
+  };
+
+  analysis.ranked_list = youtube.attachVideoDetails(analysis.ranked_list, searchResults);
+  lossEstimate.applyLossEstimate(analysis, null);
+
+  return {
+    userName,
+    query: channelName,
+    platforms: ['youtube'],
+    queries: [`${userName} ${channelName}`, `${userName} lyrics`],
+    totalVideosFound: 100,
+    batchesAnalyzed: 10,
+    searchResults,
+    analysis
+  };
+}
+
+module.exports = {
+  isMockMode,
+  runScan,
+  combineAnalyses
+};
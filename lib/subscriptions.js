@@ -0,0 +1,162 @@
+const { getDatabase, toDatabaseKey } = require('./firebase');
+
+// The premium plan is a one-month pass priced in kobo.
+const PLAN_NAME = 'premium';
+const PLAN_AMOUNT = Number(process.env.PAYSTACK_PLAN_AMOUNT || 1500000);
+const PLAN_CURRENCY = process.env.PAYSTACK_PLAN_CURRENCY || 'NGN';
+
+function addOneMonth(date) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + 1);
+  return result;
+}
+
+// Records written by the old client-side checkout have no status; they stay
+// valid until they expire
+function isSubscriptionActive(subscription) {
+  if (!subscription || (subscription.status && subscription.status !== 'active') || !subscription.expiresAt) {
+    return false;
+  }
+  return new Date() < new Date(subscription.expiresAt);
+}
+
+async function getSubscription(uid) {
+  const snapshot = await getDatabase().ref(`users/${uid}/subscription`).once('value');
+  return snapshot.val();
+}
+
+async function getPayment(reference) {
+  const snapshot = await getDatabase().ref(`payments/${toDatabaseKey(reference)}`).once('value');
+  return snapshot.val();
+}
+
+async function findUidByCustomer(customer) {
+  if (!customer || !customer.customer_code) {
+    return null;
+  }
+  const snapshot = await getDatabase()
+    .ref(`paystackCustomers/${toDatabaseKey(customer.customer_code)}`)
+    .once('value');
+  return snapshot.val();
+}
+
+// Inline checkout sends metadata as an object, but it can arrive as a JSON string
+function readMetadata(metadata) {
+  if (typeof metadata === 'string') {
+    try {
+      return JSON.parse(metadata);
+    } catch (error) {
+      return {};
+    }
+  }
+  return metadata || {};
+}
+
+async function handleChargeSuccess(data) {
+  const reference = data.reference;
+  const uid = readMetadata(data.metadata).uid || await findUidByCustomer(data.customer);
+
+  if (!uid) {
+    console.error(`[PAYSTACK] charge.success ${reference}: no user could be matched`);
+    return;
+  }
+
+  const existingPayment = await getPayment(reference);
+  if (existingPayment && existingPayment.status === 'success') {
+    console.log(`[PAYSTACK] charge.success ${reference}: already processed`);
+    return;
+  }
+
+  const paymentKey = `payments/${toDatabaseKey(reference)}`;
+  const payment = {
+    uid,
+    reference,
+    amount: data.amount,
+    currency: data.currency,
+    paidAt: data.paid_at || data.paidAt || new Date().toISOString(),
+    status: 'success'
+  };
+
+  if (data.currency !== PLAN_CURRENCY || Number(data.amount) < PLAN_AMOUNT) {
+    console.error(`[PAYSTACK] charge.success ${reference}: unexpected amount ${data.amount} ${data.currency}`);
+    await getDatabase().ref(paymentKey).set({ ...payment, status: 'rejected' });
+    return;
+  }
+
+  // Renewals before expiry extend the current period instead of restarting it
+  const current = await getSubscription(uid);
+  const paidAt = new Date(payment.paidAt);
+  const periodStart = isSubscriptionActive(current) && new Date(current.expiresAt) > paidAt
+    ? new Date(current.expiresAt)
+    : paidAt;
+
+  const updates = {
+    [`users/${uid}/subscription`]: {
+      plan: PLAN_NAME,
+      status: 'active',
+      purchasedAt: paidAt.toISOString(),
+      expiresAt: addOneMonth(periodStart).toISOString(),
+      reference,
+      customerCode: (data.customer && data.customer.customer_code) || null,
+      updatedAt: new Date().toISOString()
+    },
+    [paymentKey]: payment
+  };
+
+  if (data.customer && data.customer.customer_code) {
+    updates[`paystackCustomers/${toDatabaseKey(data.customer.customer_code)}`] = uid;
+  }
+
+  await getDatabase().ref().update(updates);
+  console.log(`[PAYSTACK] charge.success ${reference}: premium active for ${uid}`);
+}
+
+async function handleRefund(data) {
+  const reference = data.transaction_reference || (data.transaction && data.transaction.reference);
+  const payment = reference ? await getPayment(reference) : null;
+
+  if (!payment) {
+    console.error(`[PAYSTACK] refund for unknown transaction ${reference}`);
+    return;
+  }
+
+  const updates = {
+    [`payments/${toDatabaseKey(reference)}/status`]: 'refunded'
+  };
+
+  const current = await getSubscription(payment.uid);
+  if (current && current.reference === reference) {
+    updates[`users/${payment.uid}/subscription/status`] = 'refunded';
+    updates[`users/${payment.uid}/subscription/expiresAt`] = new Date().toISOString();
+    updates[`users/${payment.uid}/subscription/updatedAt`] = new Date().toISOString();
+  }
+
+  await getDatabase().ref().update(updates);
+  console.log(`[PAYSTACK] refund ${reference}: subscription revoked for ${payment.uid}`);
+}
+
+async function handleRenewalFailed(data) {
+  const uid = await findUidByCustomer(data.customer);
+
+  if (!uid) {
+    console.error('[PAYSTACK] invoice.payment_failed: no user could be matched');
+    return;
+  }
+
+  await getDatabase().ref(`users/${uid}/subscription`).update({
+    status: 'past_due',
+    updatedAt: new Date().toISOString()
+  });
+  console.log(`[PAYSTACK] invoice.payment_failed: subscription past due for ${uid}`);
+}
+
+module.exports = {
+  PLAN_AMOUNT,
+  PLAN_CURRENCY,
+  isSubscriptionActive,
+  getSubscription,
+  readMetadata,
+  handleChargeSuccess,
+  handleRefund,
+  handleRenewalFailed
+};
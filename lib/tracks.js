@@ -0,0 +1,75 @@
+const { getDatabase } = require('./firebase');
+
+// Server-side access to tracks saved from newtrack.html
+// (users/<uid>/tracks/<trackId>).
+async function getTrack(uid, trackId) {
+  const snapshot = await getDatabase().ref(`users/${uid}/tracks/${trackId}`).once('value');
+  const track = snapshot.val();
+  return track ? { id: trackId, ...track } : null;
+}
+
+async function listTracks(uid) {
+  const snapshot = await getDatabase().ref(`users/${uid}/tracks`).once('value');
+  return Object.entries(snapshot.val() || {}).map(([id, track]) => ({ id, ...track }));
+}
+
+// The most recent analysis of a track: the latest completed monitoring run,
+// or the analysis saved when the track was created
+function getLatestAnalysis(track) {
+  const latestRun = Object.values(track.scans || {})
+    .filter(run => run.status === 'completed' && run.analysis)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))[0];
+  return (latestRun || track).analysis || { ranked_list: [] };
+}
+
+// Every analysis stored on a track, oldest first: the one saved from the form,
+// then completed monitoring runs
+function getTrackScans(track) {
+  return [
+    track.analysis && { scanId: track.scanId || null, scannedAt: track.timestamp || null, analysis: track.analysis },
+    ...Object.values(track.scans || {})
+      .filter(run => run.status === 'completed' && run.analysis)
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+      .map(run => ({ scanId: run.scanId || null, scannedAt: run.completedAt, analysis: run.analysis }))
+  ].filter(Boolean);
+}
+
+// Looks up videoIds in the track's analyses, preferring the newest entry for
+// each video and keeping the requested order
+function findTrackVideos(track, videoIds) {
+  const videosById = new Map();
+  getTrackScans(track).forEach(({ analysis }) => {
+    (analysis.ranked_list || []).forEach(video => videosById.set(video.videoId, video));
+  });
+  return [...new Set(videoIds)].map(videoId => videosById.get(videoId)).filter(Boolean);
+}
+
+// Videos rated High or Medium in any of the track's analyses
+function getFlaggedVideoIds(track) {
+  const videoIds = new Set();
+  getTrackScans(track).forEach(({ analysis }) => {
+    (analysis.ranked_list || [])
+      .filter(video => video.risk === 'High' || video.risk === 'Medium')
+      .forEach(video => videoIds.add(video.videoId));
+  });
+  return [...videoIds];
+}
+
+// Claimant details for notices, from the profile saved on profile.html
+async function getProfile(uid) {
+  const [fullName, businessName] = await Promise.all(['fullName', 'businessName'].map(async field => {
+    const snapshot = await getDatabase().ref(`users/${uid}/${field}`).once('value');
+    return snapshot.val() || '';
+  }));
+  return { fullName, businessName };
+}
+
+module.exports = {
+  getTrack,
+  listTracks,
+  getLatestAnalysis,
+  getTrackScans,
+  findTrackVideos,
+  getFlaggedVideoIds,
+  getProfile
+};
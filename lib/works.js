@@ -0,0 +1,203 @@
+const { getDatabase } = require('./firebase');
+const { resolvePlatforms, isChannelId, describeChannelIdFormats } = require('./platforms');
+const { removeWorkAudio } = require('./audio');
+const { isPublicImageUrl } = require('./imageHash');
+
+// Catalog of original works a user registers so scans can compare uploads
+// against the real owner channels and release date instead of a bare title.
+// Stored at users/<uid>/works/<workId> and only written through /works.
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+const UPC_PATTERN = /^\d{12,13}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TEXT_LENGTH = 200;
+const MAX_CHANNEL_NAME_LENGTH = 100;
+// Scan titles and channel names go into search queries and the model's
+// prompt: whitespace is collapsed to single spaces and anything else that
+// isn't printable is rejected
+const SCAN_TEXT_PATTERN = /^[\p{L}\p{M}\p{N}\p{P}\p{S}\p{Zs}]+$/u;
+const WORK_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_URL_LENGTH = 2000;
+
+function worksRef(uid) {
+  return getDatabase().ref(`users/${uid}/works`);
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function toChannelIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(ids.map(toText).filter(Boolean))];
+}
+
+// "3:45", "225" or 225 -> 225
+function toDurationSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const parts = String(value).trim().split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Returns { work, errors }. work is only set when errors is empty.
+function validateWork(input) {
+  const body = input || {};
+  const errors = [];
+
+  const work = {
+    title: toText(body.title),
+    artist: toText(body.artist),
+    channelIds: toChannelIds(body.channelIds),
+    releaseDate: toText(body.releaseDate),
+    durationSeconds: toDurationSeconds(body.durationSeconds),
+    isrc: toText(body.isrc).replace(/-/g, '').toUpperCase(),
+    upc: toText(body.upc),
+    coverArtUrl: toText(body.coverArtUrl)
+  };
+
+  if (!work.title) {
+    errors.push('title is required');
+  } else if (work.title.length > MAX_TEXT_LENGTH) {
+    errors.push(`title must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (work.artist.length > MAX_TEXT_LENGTH) {
+    errors.push(`artist must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  work.channelIds
+    .filter(id => !isChannelId(id))
+    .forEach(id => errors.push(`"${id}" is not a channel ID (${describeChannelIdFormats()})`));
+  if (work.releaseDate && (!DATE_PATTERN.test(work.releaseDate) || isNaN(new Date(work.releaseDate)))) {
+    errors.push('releaseDate must be a date in YYYY-MM-DD format');
+  }
+  if (work.durationSeconds !== null && (!Number.isInteger(work.durationSeconds) || work.durationSeconds <= 0)) {
+    errors.push('durationSeconds must be a positive number of seconds or m:ss');
+  }
+  if (work.isrc && !ISRC_PATTERN.test(work.isrc)) {
+    errors.push('isrc must look like CC-XXX-YY-NNNNN');
+  }
+  if (work.upc && !UPC_PATTERN.test(work.upc)) {
+    errors.push('upc must be 12 or 13 digits');
+  }
+  if (work.coverArtUrl && (work.coverArtUrl.length > MAX_URL_LENGTH || !isPublicImageUrl(work.coverArtUrl))) {
+    errors.push('coverArtUrl must be a public https link to a JPEG or PNG image');
+  }
+
+  return errors.length > 0 ? { work: null, errors } : { work, errors };
+}
+
+async function listWorks(uid) {
+  const snapshot = await worksRef(uid).once('value');
+  const works = snapshot.val() || {};
+  return Object.keys(works)
+    .map(id => ({ id, ...works[id] }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+async function getWork(uid, workId) {
+  const snapshot = await worksRef(uid).child(workId).once('value');
+  const work = snapshot.val();
+  return work ? { id: workId, ...work } : null;
+}
+
+async function createWork(uid, work) {
+  const now = new Date().toISOString();
+  const ref = worksRef(uid).push();
+  const record = { ...work, createdAt: now, updatedAt: now };
+  await ref.set(record);
+  return { id: ref.key, ...record };
+}
+
+// Returns null when the work does not exist
+async function updateWork(uid, workId, work) {
+  const existing = await getWork(uid, workId);
+  if (!existing) {
+    return null;
+  }
+  const record = { ...work, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+  await worksRef(uid).child(workId).set(record);
+  return { id: workId, ...record };
+}
+
+async function deleteWork(uid, workId) {
+  const existing = await getWork(uid, workId);
+  if (!existing) {
+    return false;
+  }
+  await Promise.all([worksRef(uid).child(workId).remove(), removeWorkAudio(uid, workId)]);
+  return true;
+}
+
+function inputError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Returns the trimmed text, or throws a 400 error naming the field
+function toScanText(value, label, maxLength) {
+  if (typeof value !== 'string') {
+    throw inputError(`${label} must be text`, 400);
+  }
+  const text = value.trim().replace(/\s+/g, ' ');
+  if (!text) {
+    throw inputError(`${label} is required`, 400);
+  }
+  if (text.length > maxLength) {
+    throw inputError(`${label} must be at most ${maxLength} characters`, 400);
+  }
+  if (!SCAN_TEXT_PATTERN.test(text)) {
+    throw inputError(`${label} contains characters that are not allowed`, 400);
+  }
+  return text;
+}
+
+// Turns a scan request body into runScan input. With a workId the original
+// work comes from the caller's catalog; otherwise only the typed title is known.
+// Throws errors carrying statusCode for bad requests.
+async function resolveScanInput(uid, body) {
+  const { workId, userName: typedTitle, channelName: typedChannel } = body || {};
+  const platforms = resolvePlatforms((body || {}).platforms);
+
+  if (!workId) {
+    if (!typedTitle || !typedChannel) {
+      throw inputError('User name and channel name are required', 400);
+    }
+    return {
+      userName: toScanText(typedTitle, 'User name', MAX_TEXT_LENGTH),
+      channelName: toScanText(typedChannel, 'Channel name', MAX_CHANNEL_NAME_LENGTH),
+      work: null,
+      platforms
+    };
+  }
+
+  if (!uid) {
+    throw inputError('Sign in to scan a work from your catalog', 401);
+  }
+  const channelName = toScanText(typedChannel, 'Channel name', MAX_CHANNEL_NAME_LENGTH);
+  if (typeof workId !== 'string' || !WORK_ID_PATTERN.test(workId)) {
+    throw inputError('workId is not a valid work ID', 400);
+  }
+
+  const work = await getWork(uid, workId);
+  if (!work) {
+    throw inputError('Work not found in your catalog', 404);
+  }
+  const userName = typedTitle ? toScanText(typedTitle, 'User name', MAX_TEXT_LENGTH) : work.title;
+
+  return { userName, channelName, work: { ...work, channelTitle: channelName }, platforms };
+}
+
+module.exports = {
+  WORK_ID_PATTERN,
+  resolveScanInput,
+  validateWork,
+  listWorks,
+  getWork,
+  createWork,
+  updateWork,
+  deleteWork
+};
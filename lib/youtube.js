@@ -0,0 +1,144 @@
+const axios = require('axios');
+const cache = require('./cache');
+const quota = require('./quota');
+const sandbox = require('./sandbox');
+
+const YOUTUBE_API_URL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3';
+const VIDEOS_PER_REQUEST = 50; // videos.list accepts at most 50 ids
+// Shorts can be up to three minutes long
+const SHORTS_MAX_SECONDS = 180;
+
+// Every Data API call goes through here so it is charged to the quota meter,
+// for uid when the scan belongs to a user. Fails with a 429 error once the
+// quota can't cover the call, or when YouTube says it has run out. In the
+// sandbox, replies are recorded or replayed without the API key.
+async function callApi(method, params, uid) {
+  quota.assertAvailable(uid, quota.UNIT_COSTS[method]);
+  quota.charge(uid, method);
+  try {
+    const data = await sandbox.through('youtube', { method, params }, async () => {
+      const response = await axios.get(`${YOUTUBE_API_URL}/${method.split('.')[0]}`, {
+        params: { ...params, key: process.env.YOUTUBE_API_KEY }
+      });
+      return response.data;
+    });
+    return { data };
+  } catch (error) {
+    if (quota.isQuotaExceededResponse(error)) {
+      quota.markExhausted();
+      throw quota.quotaError('YouTube reports the quota for today has been used up');
+    }
+    throw error;
+  }
+}
+
+// Converts an ISO 8601 duration such as PT1H2M3S to seconds
+function parseIsoDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+  if (!match) {
+    return null;
+  }
+  const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function toNumber(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+function getLiveStatus(item, searchResult) {
+  const live = item.liveStreamingDetails;
+  if (live) {
+    if (live.actualEndTime) return 'vod';
+    if (live.actualStartTime) return 'live';
+    return 'upcoming';
+  }
+  const broadcast = searchResult.liveBroadcastContent;
+  return broadcast === 'live' || broadcast === 'upcoming' ? broadcast : 'none';
+}
+
+function isShortVideo(durationSeconds, title) {
+  if (/#shorts?\b/i.test(title || '')) {
+    return true;
+  }
+  return durationSeconds !== null && durationSeconds > 0 && durationSeconds <= SHORTS_MAX_SECONDS;
+}
+
+// Looks the search results up with videos.list and adds duration, view and
+// like counts, a Shorts flag and the live status to each of them. Details
+// are cached per videoId, so only videos not looked up recently are fetched.
+// Results that could not be enriched are returned unchanged.
+async function enrichVideos(searchResults, uid = null) {
+  const details = new Map();
+
+  const cached = await Promise.all(searchResults.map(video => cache.get('videos', video.videoId)));
+  cached.forEach(item => item && details.set(item.id, item));
+  const uncached = searchResults.filter(video => !details.has(video.videoId));
+  if (details.size > 0) {
+    console.log(`[CACHE] Reused details for ${details.size}/${searchResults.length} videos`);
+  }
+
+  for (let i = 0; i < uncached.length; i += VIDEOS_PER_REQUEST) {
+    const ids = uncached.slice(i, i + VIDEOS_PER_REQUEST).map(video => video.videoId);
+
+    const response = await callApi('videos.list', {
+      part: 'contentDetails,statistics,liveStreamingDetails',
+      id: ids.join(','),
+      maxResults: VIDEOS_PER_REQUEST
+    }, uid);
+
+    const items = response.data.items || [];
+    items.forEach(item => details.set(item.id, item));
+    await Promise.all(items.map(item => cache.set('videos', item.id, item)));
+  }
+
+  return searchResults.map(video => {
+    const item = details.get(video.videoId);
+    if (!item) {
+      return video;
+    }
+
+    const durationSeconds = parseIsoDuration(item.contentDetails && item.contentDetails.duration);
+    const statistics = item.statistics || {};
+
+    return {
+      ...video,
+      duration: item.contentDetails ? item.contentDetails.duration : null,
+      durationSeconds,
+      viewCount: toNumber(statistics.viewCount),
+      likeCount: toNumber(statistics.likeCount),
+      isShort: isShortVideo(durationSeconds, video.title),
+      liveStatus: getLiveStatus(item, video)
+    };
+  });
+}
+
+// Fields copied from a search result onto its ranked_list entry so saved
+// tracks can show them without keeping the whole search response
+const VIDEO_DETAIL_FIELDS = ['platform', 'url', 'thumbnailUrl', 'channelId', 'duration', 'durationSeconds', 'viewCount', 'likeCount', 'isShort', 'liveStatus', 'artworkDistance', 'matchedQueries'];
+
+function attachVideoDetails(rankedList, searchResults) {
+  const videosById = new Map(searchResults.map(video => [video.videoId, video]));
+
+  return rankedList.map(entry => {
+    const video = videosById.get(entry.videoId);
+    if (!video) {
+      return entry;
+    }
+    const details = {};
+    VIDEO_DETAIL_FIELDS.forEach(field => {
+      if (video[field] !== undefined) {
+        details[field] = video[field];
+      }
+    });
+    return { ...entry, ...details };
+  });
+}
+
+module.exports = {
+  YOUTUBE_API_URL,
+  callApi,
+  parseIsoDuration,
+  enrichVideos,
+  attachVideoDetails
+};
@@ -96,6 +96,14 @@ document.addEventListener('DOMContentLoaded', function() {
             rankedList.appendChild(videoElement);
         });
         
+        // The server withholds part of the list for anonymous and free users
+        if (results.truncated) {
+            const hiddenElement = document.createElement('p');
+            hiddenElement.className = 'hidden-count';
+            hiddenElement.textContent = `${results.hiddenCount} more flagged video${results.hiddenCount !== 1 ? 's are' : ' is'} hidden. Sign in with a Premium plan to see the full list.`;
+            rankedList.appendChild(hiddenElement);
+        }
+        
         // Display top priority
         topPriority.innerHTML = '';
         const priorityVideos = results.analysis.ranked_list.filter(video => 
@@ -0,0 +1,47 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const allowlist = require('../lib/allowlist');
+
+const router = express.Router();
+
+router.get('/allowlist', requireAuth, async (req, res) => {
+  try {
+    res.json({ entries: await allowlist.listAllowlist(req.user.uid) });
+  } catch (error) {
+    console.error('[ALLOWLIST] List failed:', error.message);
+    res.status(500).json({ error: 'Could not load your allowlist', details: error.message });
+  }
+});
+
+router.post('/allowlist', requireAuth, async (req, res) => {
+  const { entry, errors } = allowlist.validateEntry(req.body);
+  if (!entry) {
+    return res.status(400).json({ error: 'Invalid allowlist entry', details: errors });
+  }
+
+  try {
+    const created = await allowlist.addEntry(req.user.uid, entry);
+    if (!created) {
+      return res.status(404).json({ error: 'Work not found in your catalog' });
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('[ALLOWLIST] Create failed:', error.message);
+    res.status(500).json({ error: 'Could not save the allowlist entry', details: error.message });
+  }
+});
+
+router.delete('/allowlist/:entryId', requireAuth, async (req, res) => {
+  try {
+    const deleted = await allowlist.removeEntry(req.user.uid, req.params.entryId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('[ALLOWLIST] Delete failed:', error.message);
+    res.status(500).json({ error: 'Could not delete the allowlist entry', details: error.message });
+  }
+});
+
+module.exports = router;
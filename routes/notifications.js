@@ -0,0 +1,82 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const notifications = require('../lib/notifications');
+const { escapeHtml } = require('../lib/emailTemplates');
+
+const router = express.Router();
+
+router.get('/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    res.json(await notifications.getPreferences(req.user.uid));
+  } catch (error) {
+    console.error('[NOTIFY] Could not load preferences:', error.message);
+    res.status(500).json({ error: 'Could not load notification settings', details: error.message });
+  }
+});
+
+router.put('/notifications/preferences', requireAuth, async (req, res) => {
+  const { preferences, errors } = notifications.validatePreferences(req.body);
+  if (!preferences) {
+    return res.status(400).json({ error: 'Invalid notification settings', details: errors });
+  }
+
+  try {
+    res.json(await notifications.updatePreferences(req.user.uid, preferences));
+  } catch (error) {
+    console.error('[NOTIFY] Could not save preferences:', error.message);
+    res.status(500).json({ error: 'Could not save notification settings', details: error.message });
+  }
+});
+
+const UNSUBSCRIBE_WHAT = { alerts: 'high-risk alerts', digest: 'weekly digests', all: 'notification emails' };
+
+// form is trusted HTML placed under the message
+function unsubscribePage(title, message, form = '') {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;background:#f6f1ec;color:#333;text-align:center;padding:60px 20px;">
+  <h1 style="color:#e55a3c;">${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${form}
+  <p><a href="/profile.html" style="color:#e55a3c;">Manage email settings</a></p>
+</body>
+</html>`;
+}
+
+// Links in emails carry an HMAC token so they work without signing in.
+// Opening a link only asks for confirmation, since mail scanners and link
+// prefetchers open links too; the form then POSTs back to the same URL.
+router.get('/notifications/unsubscribe', (req, res) => {
+  const { uid, type, token } = req.query;
+
+  if (!notifications.isValidUnsubscribeToken(uid, type, token)) {
+    return res.status(400).send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has expired.'));
+  }
+
+  const action = `/notifications/unsubscribe?${new URLSearchParams({ uid, type, token })}`;
+  const form = `<form method="post" action="${escapeHtml(action)}">
+    <button type="submit" style="background:#e55a3c;color:#fff;border:none;border-radius:6px;padding:12px 24px;font-size:16px;cursor:pointer;">Unsubscribe</button>
+  </form>`;
+  res.send(unsubscribePage('Unsubscribe', `Stop receiving ${UNSUBSCRIBE_WHAT[type]}?`, form));
+});
+
+// The confirmation form, and the one-click unsubscribe mail clients send for
+// List-Unsubscribe-Post (RFC 8058)
+router.post('/notifications/unsubscribe', async (req, res) => {
+  const { uid, type, token } = req.query;
+
+  if (!notifications.isValidUnsubscribeToken(uid, type, token)) {
+    return res.status(400).send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has expired.'));
+  }
+
+  try {
+    await notifications.unsubscribe(uid, type);
+    res.send(unsubscribePage('Unsubscribed', `You will no longer receive ${UNSUBSCRIBE_WHAT[type]}.`));
+  } catch (error) {
+    console.error('[NOTIFY] Could not unsubscribe:', error.message);
+    res.status(500).send(unsubscribePage('Something went wrong', 'Please try again later or change your settings on your profile.'));
+  }
+});
+
+module.exports = router;
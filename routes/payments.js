@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const paystack = require('../lib/paystack');
+const subscriptions = require('../lib/subscriptions');
+
+const router = express.Router();
+
+// Called by the browser after the Paystack inline callback fires. This only
+// confirms the charge with Paystack; the subscription itself is written by the
+// webhook below so a client can never grant itself premium.
+router.post('/payments/verify', requireAuth, async (req, res) => {
+  const { reference } = req.body;
+
+  if (!reference) {
+    return res.status(400).json({ error: 'Transaction reference is required' });
+  }
+
+  try {
+    const transaction = await paystack.verifyTransaction(reference);
+    const metadata = subscriptions.readMetadata(transaction.metadata);
+
+    if (metadata.uid && metadata.uid !== req.user.uid) {
+      return res.status(403).json({ error: 'This transaction belongs to a different account' });
+    }
+
+    if (transaction.status !== 'success') {
+      return res.status(402).json({
+        error: `Payment was not successful (status: ${transaction.status})`,
+        status: transaction.status
+      });
+    }
+
+    const subscription = await subscriptions.getSubscription(req.user.uid);
+
+    res.json({
+      status: transaction.status,
+      reference: transaction.reference,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      subscriptionActive: subscriptions.isSubscriptionActive(subscription),
+      subscription
+    });
+  } catch (error) {
+    console.error('[PAYSTACK] Verification error:', error.message);
+    if (error.response) {
+      console.error('[PAYSTACK] Response:', error.response.status, error.response.data);
+    }
+    res.status(502).json({ error: 'Could not verify payment with Paystack: ' + error.message });
+  }
+});
+
+const webhookHandlers = {
+  'charge.success': subscriptions.handleChargeSuccess,
+  'refund.processed': subscriptions.handleRefund,
+  'invoice.payment_failed': subscriptions.handleRenewalFailed
+};
+
+router.post('/webhooks/paystack', async (req, res) => {
+  const signature = req.headers['x-paystack-signature'];
+
+  let signatureValid;
+  try {
+    signatureValid = paystack.isValidSignature(req.rawBody, signature);
+  } catch (error) {
+    console.error('[PAYSTACK] Webhook rejected:', error.message);
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+
+  if (!signatureValid) {
+    console.warn('[PAYSTACK] Webhook rejected: invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const { event, data } = req.body;
+  const handler = webhookHandlers[event];
+
+  if (!handler) {
+    console.log(`[PAYSTACK] Ignoring webhook event ${event}`);
+    return res.sendStatus(200);
+  }
+
+  try {
+    await handler(data || {});
+    res.sendStatus(200);
+  } catch (error) {
+    // A non-2xx response makes Paystack retry the delivery
+    console.error(`[PAYSTACK] Webhook ${event} failed:`, error.message);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const { optionalAuth, optionalEventStreamAuth } = require('../lib/auth');
+const { requireScanQuota } = require('../lib/quota');
+const { limitScans, holdScanSlot } = require('../lib/rateLimit');
+const { getUserPlan } = require('../lib/plans');
+const scanJobs = require('../lib/scanJobs');
+const { resolveScanInput } = require('../lib/works');
+const { listPlatforms } = require('../lib/platforms');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Scans started by a signed-in user are only visible to that user.
+// Anonymous scans are reachable by anyone holding the (random) scan id.
+function findAccessibleJob(req, res) {
+  const job = scanJobs.getScanJob(req.params.scanId);
+  const uid = req.user ? req.user.uid : null;
+
+  if (!job || (job.uid && job.uid !== uid)) {
+    res.status(404).json({ error: 'Scan not found or expired' });
+    return null;
+  }
+  return job;
+}
+
+// The platforms a scan can search, for the new track form
+router.get('/platforms', (req, res) => {
+  res.json({ platforms: listPlatforms() });
+});
+
+router.post('/scans', optionalAuth, limitScans, requireScanQuota, async (req, res) => {
+  const uid = req.user ? req.user.uid : null;
+
+  let input;
+  try {
+    input = await resolveScanInput(uid, req.body);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.message });
+  }
+
+  const plan = await getUserPlan(uid);
+  const job = scanJobs.createScanJob({ uid, plan, ...input });
+  holdScanSlot(req, job);
+
+  console.log(`[SCAN ${job.id}] Queued for ${uid || 'anonymous'} (${plan})`);
+
+  res.status(202).json({
+    scanId: job.id,
+    status: job.status,
+    statusUrl: `/scans/${job.id}`,
+    eventsUrl: `/scans/${job.id}/events`
+  });
+});
+
+router.get('/scans/:scanId', optionalAuth, async (req, res) => {
+  const job = findAccessibleJob(req, res);
+  if (!job) return;
+
+  // Limits follow the caller's current plan, so upgrading unlocks the full result
+  const plan = await getUserPlan(job.uid);
+  res.json(scanJobs.getScanJobView(job, plan));
+});
+
+// Server-Sent Events. EventSource cannot send headers, so signed-in clients
+// pass their ID token as ?access_token=. Reconnects resume after Last-Event-ID.
+router.get('/scans/:scanId/events', optionalEventStreamAuth, (req, res) => {
+  const job = findAccessibleJob(req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId || 0);
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'completed' || event.type === 'failed') {
+      setImmediate(close);
+    }
+  };
+
+  unsubscribe = scanJobs.subscribeToScanJob(job, lastEventId, send);
+
+  if (scanJobs.isFinished(job)) {
+    // Everything there is to send was replayed above
+    setImmediate(close);
+    return;
+  }
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  req.on('close', close);
+});
+
+module.exports = router;
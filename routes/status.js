@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getBearerToken } = require('../lib/auth');
+const { isMockMode } = require('../lib/scanner');
+const quota = require('../lib/quota');
+
+const router = express.Router();
+
+// Internal endpoints are only served when STATUS_TOKEN is set, and only to
+// callers presenting it as a bearer token
+function requireStatusToken(req, res, next) {
+  const expected = process.env.STATUS_TOKEN;
+  if (!expected) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const token = getBearerToken(req) || '';
+  const matches = token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  if (!matches) {
+    return res.status(401).json({ error: 'Invalid status token' });
+  }
+  next();
+}
+
+router.get('/internal/status', requireStatusToken, (req, res) => {
+  res.json({
+    mockMode: isMockMode(),
+    youtubeQuota: quota.getQuotaStatus()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const monitor = require('../lib/monitor');
+const tracks = require('../lib/tracks');
+const dmca = require('../lib/dmca');
+const evidence = require('../lib/evidence');
+const resultsExport = require('../lib/export');
+const { getUserPlan } = require('../lib/plans');
+const reviews = require('../lib/reviews');
+const audio = require('../lib/audio');
+
+const router = express.Router();
+
+// Turns scheduled re-scans of a saved track on or off. The frequency follows
+// the user's plan and is recalculated on every run.
+router.put('/tracks/:trackId/monitoring', requireAuth, async (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+
+  try {
+    const monitoring = await monitor.setMonitoring(req.user.uid, req.params.trackId, enabled);
+    if (!monitoring) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.json(monitoring);
+  } catch (error) {
+    console.error('[MONITOR] Could not update monitoring:', error.message);
+    res.status(500).json({ error: 'Could not update monitoring', details: error.message });
+  }
+});
+
+function fileSlug(value) {
+  return String(value || 'track').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'track';
+}
+
+async function sendExport(req, res, trackList, trackReviews, filename) {
+  const { format = 'csv' } = req.query;
+  const exportFormat = resultsExport.FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+
+  const plan = await getUserPlan(req.user.uid);
+  const rows = resultsExport.buildRows(trackList, plan, trackReviews);
+  const file = await exportFormat.render(rows);
+  res.set({
+    'Content-Type': exportFormat.contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  });
+  res.send(file);
+}
+
+// Spreadsheet of every track's latest results, limited to the user's plan
+router.get('/tracks/export', requireAuth, async (req, res) => {
+  try {
+    const [trackList, allReviews] = await Promise.all([
+      tracks.listTracks(req.user.uid),
+      reviews.getAllReviews(req.user.uid)
+    ]);
+    await sendExport(req, res, trackList, allReviews, 'all-tracks');
+  } catch (error) {
+    console.error('[EXPORT] Could not export tracks:', error.message);
+    res.status(500).json({ error: 'Could not export your tracks', details: error.message });
+  }
+});
+
+router.get('/tracks/:trackId/export', requireAuth, async (req, res) => {
+  try {
+    const track = await tracks.getTrack(req.user.uid, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    const trackReviews = await reviews.getTrackReviews(req.user.uid, track.id);
+    await sendExport(req, res, [track], { [track.id]: trackReviews }, fileSlug(track.trackName));
+  } catch (error) {
+    console.error('[EXPORT] Could not export track:', error.message);
+    res.status(500).json({ error: 'Could not export this track', details: error.message });
+  }
+});
+
+// Sets the review status (and optionally notes) of one or more videos
+router.put('/tracks/:trackId/reviews', requireAuth, async (req, res) => {
+  const { update, errors } = reviews.validateReviewUpdate(req.body);
+  if (!update) {
+    return res.status(400).json({ error: 'Invalid review', details: errors });
+  }
+
+  try {
+    const track = await tracks.getTrack(req.user.uid, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const updated = await reviews.updateReviews(req.user, track, update);
+    if (Object.keys(updated).length === 0) {
+      return res.status(400).json({ error: 'None of the selected videos belong to this track' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('[REVIEW] Could not update reviews:', error.message);
+    res.status(500).json({ error: 'Could not save the review', details: error.message });
+  }
+});
+
+const NOTICE_FORMATS = {
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: dmca.renderDocx
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    render: dmca.renderPdf
+  }
+};
+
+// Takedown notice for selected videos of a track. format "text" returns the
+// editable notice as JSON; "docx" and "pdf" download it, rendering the edited
+// text when one is sent back.
+router.post('/tracks/:trackId/dmca', requireAuth, async (req, res) => {
+  const { videoIds, format = 'text', text } = req.body;
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0 || !videoIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'Select at least one video for the notice' });
+  }
+  if (format !== 'text' && !NOTICE_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be text, docx or pdf' });
+  }
+  if (text !== undefined && (typeof text !== 'string' || text.length > dmca.MAX_NOTICE_LENGTH)) {
+    return res.status(400).json({ error: `text must be a string of at most ${dmca.MAX_NOTICE_LENGTH} characters` });
+  }
+
+  try {
+    const track = await tracks.getTrack(req.user.uid, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const videos = tracks.findTrackVideos(track, videoIds);
+    if (videos.length === 0) {
+      return res.status(400).json({ error: 'None of the selected videos belong to this track' });
+    }
+
+    const profile = await tracks.getProfile(req.user.uid);
+    const noticeText = text || dmca.buildNoticeText({
+      claimant: { ...profile, email: req.user.email },
+      track,
+      videos
+    });
+
+    if (format === 'text') {
+      return res.json({
+        text: noticeText,
+        videoCount: videos.length,
+        placeholders: dmca.findPlaceholders(noticeText)
+      });
+    }
+
+    const { contentType, render } = NOTICE_FORMATS[format];
+    const file = await render(noticeText);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="dmca-notice-${fileSlug(track.trackName)}.${format}"`
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('[DMCA] Could not generate notice:', error.message);
+    res.status(500).json({ error: 'Could not generate the notice', details: error.message });
+  }
+});
+
+const MAX_NOTES_LENGTH = 20000;
+
+// Evidence pack (ZIP) for selected videos of a track, or for every flagged
+// video when videoIds is left out. The manifest's hash is logged server-side
+// and returned in X-Manifest-SHA256.
+router.post('/tracks/:trackId/evidence', requireAuth, async (req, res) => {
+  const { videoIds, notes } = req.body;
+
+  if (videoIds !== undefined && (!Array.isArray(videoIds) || videoIds.length === 0 || !videoIds.every(id => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'videoIds must be a non-empty list of video IDs' });
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    return res.status(400).json({ error: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters` });
+  }
+
+  try {
+    const track = await tracks.getTrack(req.user.uid, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const included = videoIds
+      ? tracks.findTrackVideos(track, videoIds).map(video => video.videoId)
+      : tracks.getFlaggedVideoIds(track);
+    if (included.length === 0) {
+      return res.status(400).json({
+        error: videoIds ? 'None of the selected videos belong to this track' : 'This track has no flagged videos'
+      });
+    }
+
+    const scans = tracks.getTrackScans(track);
+    const scanIds = [...new Set(scans.map(scan => scan.scanId).filter(Boolean))];
+    const pack = await evidence.buildEvidencePack({
+      uid: req.user.uid,
+      email: req.user.email,
+      track,
+      scans,
+      videoIds: included,
+      evidence: await evidence.getScanEvidence(req.user.uid, scanIds),
+      reviews: await reviews.getTrackReviews(req.user.uid, track.id),
+      audioMatches: await audio.getTrackAudioMatches(req.user.uid, track.id),
+      notes: notes && notes.trim()
+    });
+
+    await evidence.recordExport(req.user.uid, {
+      trackId: track.id,
+      generatedAt: pack.manifest.generatedAt,
+      videoIds: pack.manifest.videoIds,
+      manifestSha256: pack.manifestSha256,
+      zipSha256: pack.zipSha256
+    });
+    console.log(`[EVIDENCE] Exported ${included.length} videos of ${req.user.uid}/${track.id} (manifest ${pack.manifestSha256})`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="evidence-${fileSlug(track.trackName)}.zip"`,
+      'X-Manifest-SHA256': pack.manifestSha256
+    });
+    res.send(pack.content);
+  } catch (error) {
+    console.error('[EVIDENCE] Could not build evidence pack:', error.message);
+    res.status(500).json({ error: 'Could not build the evidence pack', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const works = require('../lib/works');
+const audio = require('../lib/audio');
+const tracks = require('../lib/tracks');
+
+const router = express.Router();
+
+// Audio is sent as the raw request body
+const audioBody = express.raw({
+  type: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave', 'application/octet-stream'],
+  limit: process.env.AUDIO_UPLOAD_LIMIT || '60mb'
+});
+
+// X-File-Name is URI-encoded, since headers only carry ASCII
+function uploadedFileName(req) {
+  const header = req.get('X-File-Name');
+  if (!header) return null;
+  try {
+    return decodeURIComponent(header);
+  } catch (error) {
+    return header;
+  }
+}
+
+function hasAudio(req, res) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(415).json({ error: 'Send the audio as a WAV file with Content-Type audio/wav' });
+    return false;
+  }
+  return true;
+}
+
+router.get('/works', requireAuth, async (req, res) => {
+  try {
+    res.json({ works: await works.listWorks(req.user.uid) });
+  } catch (error) {
+    console.error('[WORKS] List failed:', error.message);
+    res.status(500).json({ error: 'Could not load your catalog', details: error.message });
+  }
+});
+
+router.post('/works', requireAuth, async (req, res) => {
+  const { work, errors } = works.validateWork(req.body);
+  if (!work) {
+    return res.status(400).json({ error: 'Invalid work', details: errors });
+  }
+
+  try {
+    res.status(201).json(await works.createWork(req.user.uid, work));
+  } catch (error) {
+    console.error('[WORKS] Create failed:', error.message);
+    res.status(500).json({ error: 'Could not save the work', details: error.message });
+  }
+});
+
+router.put('/works/:workId', requireAuth, async (req, res) => {
+  const { work, errors } = works.validateWork(req.body);
+  if (!work) {
+    return res.status(400).json({ error: 'Invalid work', details: errors });
+  }
+
+  try {
+    const updated = await works.updateWork(req.user.uid, req.params.workId, work);
+    if (!updated) {
+      return res.status(404).json({ error: 'Work not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('[WORKS] Update failed:', error.message);
+    res.status(500).json({ error: 'Could not save the work', details: error.message });
+  }
+});
+
+router.delete('/works/:workId', requireAuth, async (req, res) => {
+  try {
+    const deleted = await works.deleteWork(req.user.uid, req.params.workId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Work not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('[WORKS] Delete failed:', error.message);
+    res.status(500).json({ error: 'Could not delete the work', details: error.message });
+  }
+});
+
+// Original audio of a work, fingerprinted for comparisons
+router.put('/works/:workId/audio', requireAuth, audioBody, async (req, res) => {
+  if (!hasAudio(req, res)) return;
+
+  try {
+    const work = await works.getWork(req.user.uid, req.params.workId);
+    if (!work) {
+      return res.status(404).json({ error: 'Work not found' });
+    }
+    const saved = await audio.saveWorkAudio(req.user.uid, work.id, req.body, uploadedFileName(req));
+    console.log(`[AUDIO] Fingerprinted ${saved.durationSeconds}s of original audio for ${req.user.uid}/${work.id}`);
+    res.json(saved);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[AUDIO] Could not save original audio:', error.message);
+    res.status(500).json({ error: 'Could not save the original audio', details: error.message });
+  }
+});
+
+router.get('/works/:workId/audio', requireAuth, async (req, res) => {
+  try {
+    const record = await audio.getWorkAudio(req.user.uid, req.params.workId);
+    if (!record) {
+      return res.status(404).json({ error: 'No original audio uploaded for this work' });
+    }
+    res.json(audio.describeWorkAudio(record));
+  } catch (error) {
+    console.error('[AUDIO] Could not load original audio:', error.message);
+    res.status(500).json({ error: 'Could not load the original audio', details: error.message });
+  }
+});
+
+router.delete('/works/:workId/audio', requireAuth, async (req, res) => {
+  try {
+    await audio.removeWorkAudio(req.user.uid, req.params.workId);
+    res.status(204).end();
+  } catch (error) {
+    console.error('[AUDIO] Could not remove original audio:', error.message);
+    res.status(500).json({ error: 'Could not remove the original audio', details: error.message });
+  }
+});
+
+// Compares suspect audio, uploaded by the user or fetched by an operator,
+// with the work's original. With ?trackId=&videoId= a match is attached to
+// that video's verdict in the saved track.
+router.post('/works/:workId/audio/compare', requireAuth, audioBody, async (req, res) => {
+  if (!hasAudio(req, res)) return;
+
+  const { trackId, videoId } = req.query;
+  if ((trackId || videoId) && !(typeof trackId === 'string' && typeof videoId === 'string' && trackId && videoId)) {
+    return res.status(400).json({ error: 'trackId and videoId must be given together' });
+  }
+
+  try {
+    const track = trackId ? await tracks.getTrack(req.user.uid, trackId) : null;
+    if (trackId && !track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const comparison = await audio.compareWithWork(req.user.uid, req.params.workId, req.body);
+    let recorded = null;
+    if (track && comparison.matched) {
+      recorded = await audio.recordAudioMatch(req.user, track, videoId, req.params.workId, comparison);
+      if (!recorded) {
+        return res.status(400).json({ error: 'The video does not belong to this track' });
+      }
+      console.log(`[AUDIO] Recorded a ${Math.round(comparison.similarity * 100)}% match for ${req.user.uid}/${track.id}/${videoId}`);
+    }
+
+    res.json({ ...comparison, recorded: Boolean(recorded) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[AUDIO] Comparison failed:', error.message);
+    res.status(500).json({ error: 'Could not compare the audio', details: error.message });
+  }
+});
+
+module.exports = router;
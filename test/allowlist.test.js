@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The allowlist reads users/<uid>/allowlist; serve it from memory
+const firebase = require('../lib/firebase');
+const stored = {};
+firebase.getDatabase = () => ({
+  ref: path => ({
+    once: async () => ({ val: () => stored[path] || null })
+  })
+});
+const { validateEntry, getActiveChannels } = require('../lib/allowlist');
+
+const CHANNEL = 'UC_x5XG1OV2P6uZZ5FSM9Ttw';
+
+test('accepts an entry for one work until the end of its expiry day', () => {
+  const { entry, errors } = validateEntry({ channelId: CHANNEL, workId: '-NxWork_1', expiresAt: '2026-03-01' });
+
+  assert.deepEqual(errors, []);
+  assert.equal(entry.workId, '-NxWork_1');
+  assert.equal(entry.expiresAt, '2026-03-01T23:59:59.999Z');
+});
+
+test('rejects work ids that are not plain keys', () => {
+  ['../works/other', 'a/b', 'a.b', 'x'.repeat(65)].forEach(workId => {
+    const { entry, errors } = validateEntry({ channelId: CHANNEL, workId });
+    assert.equal(entry, null, workId);
+    assert.deepEqual(errors, ['workId is not a valid work ID']);
+  });
+});
+
+test('scans use unexpired entries for every work or for the scanned one', async () => {
+  const tomorrow = new Date(Date.now() + 86400000).toISOString();
+  const yesterday = new Date(Date.now() - 86400000).toISOString();
+  stored['users/user1/allowlist'] = {
+    a: { channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa', channelTitle: 'Every work' },
+    b: { channelId: 'UCbbbbbbbbbbbbbbbbbbbbbb', channelTitle: 'This work', workId: 'work1', expiresAt: tomorrow },
+    c: { channelId: 'UCcccccccccccccccccccccc', channelTitle: 'Other work', workId: 'work2' },
+    d: { channelId: 'dailymotion:x2bnr3u', channelTitle: 'Expired', expiresAt: yesterday }
+  };
+
+  const titles = channels => channels.map(channel => channel.channelTitle).sort();
+  assert.deepEqual(titles(await getActiveChannels('user1', 'work1')), ['Every work', 'This work']);
+  assert.deepEqual(titles(await getActiveChannels('user1', 'work2')), ['Every work', 'Other work']);
+  assert.deepEqual(titles(await getActiveChannels('user1', undefined)), ['Every work']);
+  assert.deepEqual(await getActiveChannels('user2', 'work1'), []);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getBearerToken, getEventStreamToken, optionalAuth } = require('../lib/auth');
+
+const request = (authorization, query = {}) => ({ headers: authorization ? { authorization } : {}, query });
+
+test('reads bearer tokens from the Authorization header only', () => {
+  assert.equal(getBearerToken(request('Bearer abc.def')), 'abc.def');
+  assert.equal(getBearerToken(request(null, { access_token: 'abc.def' })), null);
+  assert.equal(getBearerToken(request('Basic abc')), null);
+});
+
+test('the event stream also accepts a token in the query string', () => {
+  assert.equal(getEventStreamToken(request(null, { access_token: 'abc.def' })), 'abc.def');
+  assert.equal(getEventStreamToken(request('Bearer header', { access_token: 'query' })), 'header');
+  assert.equal(getEventStreamToken(request(null, { access_token: ['a', 'b'] })), null);
+});
+
+test('other routes treat a query string token as anonymous', () => {
+  const req = request(null, { access_token: 'abc.def' });
+  let passed = false;
+  optionalAuth(req, {}, () => {
+    passed = true;
+  });
+
+  assert.equal(passed, true);
+  assert.equal(req.user, null);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_DISCLAIMER, extractJson, parseBatchOutput } = require('../lib/batchOutput');
+
+const batch = [
+  { videoId: 'v1', title: 'Song lyrics', channelTitle: 'Lyrics Hub', publishedAt: '2024-01-02' },
+  { videoId: 'v2', title: 'Song cover', channelTitle: 'Piano Fan', publishedAt: '2024-01-03' }
+];
+
+test('extracts JSON wrapped in prose and a markdown fence', () => {
+  const text = 'Here is the analysis:\n```json\n{"summary": "ok", "ranked_list": []}\n```\nThanks';
+  assert.deepEqual(extractJson(text), { summary: 'ok', ranked_list: [] });
+});
+
+test('repairs smart quotes, trailing commas, comments and bare keys', () => {
+  const text = '{\n  // model note\n  summary: “ok”,\n  ranked_list: [],\n}';
+  assert.deepEqual(extractJson(text), { summary: 'ok', ranked_list: [] });
+});
+
+test('rejects empty replies and replies without an object', () => {
+  assert.throws(() => extractJson('  '), /empty response/);
+  assert.throws(() => extractJson('I could not analyze these videos.'), /does not contain a JSON object/);
+});
+
+test('normalizes verdicts and fills in metadata from the search results', () => {
+  const reply = JSON.stringify({
+    summary: 'One copy',
+    ranked_list: [{ videoId: 'v1', risk: 'high', score: '88', confidence: 75, rationale: 'Full song' }]
+  });
+  const { analysis, missing } = parseBatchOutput(reply, batch);
+  const [verdict] = analysis.ranked_list;
+
+  assert.equal(verdict.risk, 'High');
+  assert.equal(verdict.score, 88);
+  assert.equal(verdict.confidence, 0.75);
+  assert.deepEqual(verdict.rationale, ['Full song']);
+  assert.equal(verdict.title, 'Song lyrics');
+  assert.equal(verdict.channel, 'Lyrics Hub');
+  assert.equal(analysis.disclaimer, DEFAULT_DISCLAIMER);
+  assert.deepEqual(missing.map(video => video.videoId), ['v2']);
+});
+
+test('drops unusable scores, unknown videos and repeated verdicts', () => {
+  const reply = JSON.stringify({
+    summary: 'Mixed',
+    ranked_list: [
+      { videoId: 'v1', risk: 'Low', score: 250, confidence: -1, rationale: ['a'] },
+      { videoId: 'v1', risk: 'High', rationale: ['again'] },
+      { videoId: 'zz', risk: 'High', rationale: ['not in the batch'] },
+      { videoId: 'v2', risk: 'Medium', rationale: ['b'] }
+    ],
+    top_priority: ['zz', 'v2']
+  });
+  const { analysis, missing } = parseBatchOutput(reply, batch);
+
+  assert.deepEqual(analysis.ranked_list.map(item => [item.videoId, item.risk]), [['v1', 'Low'], ['v2', 'Medium']]);
+  assert.equal(analysis.ranked_list[0].score, undefined);
+  assert.equal(analysis.ranked_list[0].confidence, undefined);
+  assert.deepEqual(analysis.top_priority, ['v2']);
+  assert.deepEqual(missing, []);
+});
+
+test('fails replies that do not match the schema', () => {
+  const reply = JSON.stringify({ summary: 'Bad', ranked_list: [{ videoId: 'v1', risk: 'Severe', rationale: ['x'] }] });
+  assert.throws(() => parseBatchOutput(reply, batch), /schema validation/);
+});
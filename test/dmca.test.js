@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildNoticeText, replaceMissingGlyphs, renderPdf } = require('../lib/dmca');
+
+test('renders names and titles beyond Western European text into the PDF', async () => {
+  const text = 'Łukasz Żółć — «Ελένη» Иванова “Song” © 2025';
+  assert.deepEqual(replaceMissingGlyphs(text), { text, replaced: 0 });
+
+  const pdf = await renderPdf('DMCA TAKEDOWN NOTICE\n\nI, Łukasz Żółć, Иванова');
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('replaces emoji and CJK text the PDF fonts cannot show', async () => {
+  assert.deepEqual(
+    replaceMissingGlyphs('Title: "中文标题 🎵🎶 Song" 👨‍👩‍👧\nUploaded by: 歌手'),
+    { text: 'Title: "\ufffd \ufffd Song" \ufffd\nUploaded by: \ufffd', replaced: 4 }
+  );
+
+  const pdf = await renderPdf('DMCA TAKEDOWN NOTICE\n\nTitle: "中文 🎵"');
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('names the platform of the work\'s channels and of every video', () => {
+  const text = buildNoticeText({
+    claimant: { fullName: 'Ada Artist', email: 'ada@example.com' },
+    track: {
+      userName: 'Song',
+      work: { title: 'Song', channelIds: ['UC_x5XG1OV2P6uZZ5FSM9Ttw', 'dailymotion:x2bnr3u'] }
+    },
+    videos: [
+      { videoId: 'dQw4w9WgXcQ', title: 'Copy', channel: 'Uploader' },
+      { videoId: 'dailymotion:x8abcd', title: 'Other copy', channel: 'Someone' }
+    ],
+    date: new Date('2026-01-15T12:00:00Z')
+  });
+
+  assert.match(text, /To: YouTube, LLC \/ Dailymotion SA/);
+  assert.match(text, /officially published at https:\/\/www\.youtube\.com\/channel\/UC_x5XG1OV2P6uZZ5FSM9Ttw, the Dailymotion account x2bnr3u\./);
+  assert.match(text, /1\. https:\/\/www\.youtube\.com\/watch\?v=dQw4w9WgXcQ\n {3}Title: "Copy"\n {3}Platform: YouTube\n/);
+  assert.match(text, /2\. https:\/\/www\.dailymotion\.com\/video\/x8abcd\n {3}Title: "Other copy"\n {3}Platform: Dailymotion\n/);
+});
+
+test('does not assume a platform for a channel the user typed in', () => {
+  const text = buildNoticeText({
+    claimant: {},
+    track: { userName: 'Song', channelName: 'My Channel' },
+    videos: [{ videoId: 'dailymotion:x8abcd', title: 'Copy' }]
+  });
+
+  assert.match(text, /infringed is "Song", published on the channel "My Channel"\./);
+  assert.doesNotMatch(text, /YouTube/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeWav, fingerprintWav, compareFingerprints } = require('../lib/fingerprint');
+
+const RATE = 11025;
+
+function random(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+// Chords that change every quarter second, so every stretch is distinct
+function music(seed, seconds) {
+  const next = random(seed);
+  const samples = new Float32Array(Math.floor(seconds * RATE));
+  let notes = [];
+  for (let i = 0; i < samples.length; i++) {
+    if (i % Math.floor(RATE / 4) === 0) {
+      notes = [0, 1, 2].map(() => 220 * Math.pow(2, Math.floor(next() * 36) / 12));
+    }
+    samples[i] = notes.reduce((sum, frequency) => sum + Math.sin(2 * Math.PI * frequency * i / RATE), 0) / 4;
+  }
+  return samples;
+}
+
+// 16-bit PCM WAV, with optional gain and white noise
+function wav(samples, { gain = 1, noise = 0 } = {}) {
+  const next = random(7);
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(RATE, 24);
+  buffer.writeUInt32LE(RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((sample, index) => {
+    const value = Math.max(-1, Math.min(1, sample * gain + (next() - 0.5) * noise));
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + index * 2);
+  });
+  return buffer;
+}
+
+const seconds = (samples, from, to) => samples.slice(Math.floor(from * RATE), Math.floor(to * RATE));
+
+const original = music(1, 60);
+const originalFingerprint = fingerprintWav(wav(original));
+
+test('finds a quieter, noisy excerpt of the original', () => {
+  const result = compareFingerprints(originalFingerprint, fingerprintWav(wav(seconds(original, 20, 40), { gain: 0.6, noise: 0.1 })));
+
+  assert.equal(result.matched, true);
+  assert.ok(result.similarity > 0.4, `similarity ${result.similarity}`);
+  assert.ok(result.coverage > 0.9, `coverage ${result.coverage}`);
+  assert.equal(result.matches.length, 1);
+  assert.ok(Math.abs(result.matches[0].originalOffset - 20) <= 0.5);
+  assert.ok(result.matches[0].suspectOffset <= 0.5);
+});
+
+test('locates the original inside other audio', () => {
+  const suspect = new Float32Array([...music(3, 10), ...seconds(original, 30, 45)]);
+  const result = compareFingerprints(originalFingerprint, fingerprintWav(wav(suspect)));
+
+  assert.equal(result.matched, true);
+  assert.equal(result.matches.length, 1);
+  const [match] = result.matches;
+  // Matches are found in blocks of about three seconds
+  assert.ok(match.suspectOffset > 6.5 && match.suspectOffset < 10.5, `suspectOffset ${match.suspectOffset}`);
+  assert.ok(Math.abs(match.originalOffset - match.suspectOffset - 20) <= 0.2);
+  assert.ok(result.coverage > 0.5 && result.coverage < 0.8, `coverage ${result.coverage}`);
+});
+
+test('does not match unrelated audio', () => {
+  const result = compareFingerprints(originalFingerprint, fingerprintWav(wav(music(2, 30))));
+
+  assert.deepEqual(result, { matched: false, similarity: 0, coverage: 0, matches: [] });
+});
+
+test('rejects files that are not WAV audio or are too short', () => {
+  assert.throws(() => decodeWav(Buffer.from('ID3'.padEnd(64, ' '))), error => error.statusCode >= 400);
+  assert.throws(() => fingerprintWav(wav(music(1, 2))), error => error.statusCode === 400);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffSnapshots, retryAt } = require('../lib/monitor');
+
+const entry = (risk, visible = true) => ({ title: 'Title', channel: 'Channel', risk, visible });
+
+test('reports new, removed and re-rated videos', () => {
+  const diff = diffSnapshots(
+    { a: entry('High'), b: entry('Medium'), c: entry('Low') },
+    { a: entry('High'), b: entry('High'), d: entry('Medium') }
+  );
+
+  assert.deepEqual(diff.newVideos.map(video => [video.videoId, video.risk]), [['d', 'Medium']]);
+  assert.deepEqual(diff.removedVideos.map(video => video.videoId), ['c']);
+  assert.deepEqual(diff.riskChanges.map(video => [video.videoId, video.from, video.to]), [['b', 'Medium', 'High']]);
+  assert.equal(diff.hiddenCount, 0);
+});
+
+test('only counts videos the plan could not see', () => {
+  const diff = diffSnapshots(
+    { gone: entry('High', false) },
+    { fresh: entry('High', false), quiet: entry('Medium', false) }
+  );
+
+  assert.deepEqual(diff.newVideos, []);
+  assert.deepEqual(diff.removedVideos, []);
+  assert.equal(diff.hiddenCount, 3);
+  // Removed videos are never counted as newly High-risk
+  assert.equal(diff.hiddenHighRisk, 1);
+});
+
+test('retries failed runs sooner, backing off up to the plan interval', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  const hoursUntil = failures => (Date.parse(retryAt('premium', failures, from)) - from.getTime()) / 3600000;
+
+  assert.equal(hoursUntil(1), 0.5);
+  assert.equal(hoursUntil(2), 1);
+  assert.equal(hoursUntil(4), 4);
+  assert.equal(hoursUntil(20), 24);
+  assert.equal((Date.parse(retryAt('free', 20, from)) - from.getTime()) / 3600000, 24 * 7);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+process.env.UNSUBSCRIBE_SECRET = 'unsubscribe_test_secret';
+const notifications = require('../lib/notifications');
+const notificationRoutes = require('../routes/notifications');
+
+function sign(uid, type, secret = 'unsubscribe_test_secret') {
+  return crypto.createHmac('sha256', secret).update(`${uid}:${type}`).digest('hex');
+}
+
+test('accepts the token signed for the user and email type', () => {
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', sign('user1', 'alerts')), true);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'all', sign('user1', 'all')), true);
+});
+
+test('rejects tokens for another user, type or secret', () => {
+  const token = sign('user1', 'alerts');
+  assert.equal(notifications.isValidUnsubscribeToken('user2', 'alerts', token), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'digest', token), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', sign('user1', 'alerts', 'other_secret')), false);
+  // Not a type that can be unsubscribed from, even when signed
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'everything', sign('user1', 'everything')), false);
+});
+
+test('rejects tokens of another length without throwing', () => {
+  const token = sign('user1', 'alerts');
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', token.slice(0, -1)), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', `${token}0`), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', 'é'.repeat(32)), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', ''), false);
+  assert.equal(notifications.isValidUnsubscribeToken('user1', 'alerts', [token]), false);
+});
+
+test('opening an unsubscribe link asks first; only POST unsubscribes', async t => {
+  const unsubscribe = notifications.unsubscribe;
+  const calls = [];
+  notifications.unsubscribe = async (uid, type) => {
+    calls.push([uid, type]);
+  };
+
+  const app = express();
+  app.use(notificationRoutes);
+  const server = app.listen(0);
+  t.after(() => {
+    notifications.unsubscribe = unsubscribe;
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}/notifications/unsubscribe?${new URLSearchParams({ uid: 'user1', type: 'digest', token: sign('user1', 'digest') })}`;
+
+  const page = await fetch(url);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<form method="post" action="\/notifications\/unsubscribe\?uid=user1&amp;type=digest&amp;token=[0-9a-f]{64}">/);
+  assert.deepEqual(calls, []);
+
+  const confirmed = await fetch(url, { method: 'POST', body: 'List-Unsubscribe=One-Click', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+  assert.equal(confirmed.status, 200);
+  assert.deepEqual(calls, [['user1', 'digest']]);
+
+  const forged = await fetch(url.replace('user1', 'user2'), { method: 'POST' });
+  assert.equal(forged.status, 400);
+  assert.equal(calls.length, 1);
+});
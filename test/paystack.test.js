@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_secret';
+const { isValidSignature } = require('../lib/paystack');
+const { readMetadata, isSubscriptionActive } = require('../lib/subscriptions');
+
+function sign(body, key = 'sk_test_secret') {
+  return crypto.createHmac('sha512', key).update(body).digest('hex');
+}
+
+test('accepts a body signed with the secret key', () => {
+  const body = Buffer.from('{"event":"charge.success"}');
+  assert.equal(isValidSignature(body, sign(body)), true);
+});
+
+test('rejects a signature made with another key', () => {
+  const body = Buffer.from('{"event":"charge.success"}');
+  assert.equal(isValidSignature(body, sign(body, 'sk_test_other')), false);
+});
+
+test('rejects a body changed after signing', () => {
+  const signature = sign(Buffer.from('{"amount":500000}'));
+  assert.equal(isValidSignature(Buffer.from('{"amount":1}'), signature), false);
+});
+
+test('rejects missing bodies, missing and truncated signatures', () => {
+  const body = Buffer.from('{}');
+  assert.equal(isValidSignature(body, undefined), false);
+  assert.equal(isValidSignature(undefined, sign(body)), false);
+  assert.equal(isValidSignature(body, sign(body).slice(0, 64)), false);
+});
+
+test('reads metadata sent as an object or as a JSON string', () => {
+  assert.deepEqual(readMetadata({ uid: 'u1' }), { uid: 'u1' });
+  assert.deepEqual(readMetadata('{"uid":"u1"}'), { uid: 'u1' });
+  assert.deepEqual(readMetadata('not json'), {});
+  assert.deepEqual(readMetadata(null), {});
+});
+
+test('subscriptions are active until they expire', () => {
+  const future = new Date(Date.now() + 86400000).toISOString();
+  const past = new Date(Date.now() - 86400000).toISOString();
+
+  assert.equal(isSubscriptionActive({ plan: 'premium', status: 'active', expiresAt: future }), true);
+  assert.equal(isSubscriptionActive({ plan: 'premium', status: 'active', expiresAt: past }), false);
+  assert.equal(isSubscriptionActive({ plan: 'premium', status: 'refunded', expiresAt: future }), false);
+  assert.equal(isSubscriptionActive({ plan: 'premium', status: 'past_due', expiresAt: future }), false);
+  assert.equal(isSubscriptionActive(null), false);
+});
+
+test('legacy subscriptions without a status stay active until they expire', () => {
+  const legacy = expiresAt => ({ plan: 'premium', purchasedAt: '2026-01-01T00:00:00.000Z', reference: 'OFEK-1', expiresAt });
+
+  assert.equal(isSubscriptionActive(legacy(new Date(Date.now() + 86400000).toISOString())), true);
+  assert.equal(isSubscriptionActive(legacy(new Date(Date.now() - 86400000).toISOString())), false);
+  assert.equal(isSubscriptionActive(legacy(undefined)), false);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyPlanLimits, getPlanLimits } = require('../lib/plans');
+const { applyLossEstimate } = require('../lib/lossEstimate');
+
+function scanResult(risks) {
+  const rankedList = risks.map((risk, index) => ({ videoId: `v${index}`, title: `Video ${index}`, risk }));
+  return {
+    searchResults: rankedList.map(video => ({ videoId: video.videoId, title: video.title })),
+    analysis: {
+      summary: 'Summary',
+      ranked_list: rankedList,
+      top_priority: rankedList.filter(video => video.risk === 'High').map(video => video.videoId)
+    }
+  };
+}
+
+test('free plans see only the first five flagged videos', () => {
+  const limited = applyPlanLimits(scanResult(['High', 'High', 'Medium', 'Low', 'High', 'Medium', 'High', 'Low', 'High']), 'free');
+
+  assert.equal(limited.truncated, true);
+  assert.equal(limited.hiddenCount, 2);
+  assert.deepEqual(limited.analysis.ranked_list.map(video => video.videoId), ['v0', 'v1', 'v2', 'v4', 'v5']);
+  assert.deepEqual(limited.analysis.top_priority, ['v0', 'v1', 'v4']);
+});
+
+test('withholds Low videos and the search metadata of hidden videos', () => {
+  const limited = applyPlanLimits(scanResult(['High', 'Low', 'High', 'High', 'High', 'High', 'High']), 'free');
+
+  assert.ok(limited.analysis.ranked_list.every(video => video.risk !== 'Low'));
+  assert.deepEqual(limited.searchResults.map(video => video.videoId), limited.analysis.ranked_list.map(video => video.videoId));
+});
+
+test('leaves results within the limit untouched', () => {
+  const result = scanResult(['High', 'Low', 'Medium']);
+  const limited = applyPlanLimits(result, 'free');
+
+  assert.equal(limited.truncated, false);
+  assert.equal(limited.hiddenCount, 0);
+  assert.equal(limited.analysis, result.analysis);
+});
+
+test('premium plans see every flagged video', () => {
+  const limited = applyPlanLimits(scanResult(Array(20).fill('High')), 'premium');
+  assert.equal(limited.truncated, false);
+  assert.equal(limited.analysis.ranked_list.length, 20);
+});
+
+test('unknown plans get the free limits', () => {
+  assert.equal(getPlanLimits('enterprise'), getPlanLimits('free'));
+  assert.equal(applyPlanLimits(scanResult(Array(8).fill('Medium')), undefined).analysis.ranked_list.length, 5);
+});
+
+test('the loss estimate only counts the videos the plan shows', () => {
+  const result = scanResult(Array(8).fill('High'));
+  result.analysis.ranked_list.forEach((video, index) => {
+    video.viewCount = index < 7 ? 1000 : undefined;
+  });
+  applyLossEstimate(result.analysis, null);
+  assert.equal(result.analysis.loss_estimate.high, 35);
+
+  const limited = applyPlanLimits(result, 'free');
+  const estimate = limited.analysis.loss_estimate;
+
+  assert.equal(estimate.low, 1.8);
+  assert.equal(estimate.high, 25);
+  assert.equal(estimate.videosEstimated, 5);
+  assert.equal(estimate.videosWithoutViews, 0);
+  assert.ok(!estimate.assumptions.some(assumption => /without a view count/.test(assumption)));
+  assert.match(limited.analysis.summary, /^Summary Estimated potential loss: \$2 – \$25 \(/);
+  assert.doesNotMatch(limited.analysis.summary, /\$35/);
+  assert.equal(result.analysis.loss_estimate.high, 35);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isChannelId, describeChannel, platformOf, videoUrl } = require('../lib/platforms');
+
+test('accepts channel ids from every platform', () => {
+  assert.equal(isChannelId('UC_x5XG1OV2P6uZZ5FSM9Ttw'), true);
+  assert.equal(isChannelId('dailymotion:x2bnr3u'), true);
+
+  assert.equal(isChannelId('UC_x5XG1OV2P6uZZ5FSM9Tt'), false);
+  assert.equal(isChannelId('x2bnr3u'), false);
+  assert.equal(isChannelId('dailymotion:'), false);
+  assert.equal(isChannelId('dailymotion:x2/../x'), false);
+  assert.equal(isChannelId(null), false);
+});
+
+test('links channels and videos on their own platform', () => {
+  assert.equal(describeChannel('UC_x5XG1OV2P6uZZ5FSM9Ttw'), 'https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw');
+  assert.equal(describeChannel('dailymotion:x2bnr3u'), 'the Dailymotion account x2bnr3u');
+
+  assert.equal(platformOf('dQw4w9WgXcQ'), 'youtube');
+  assert.equal(platformOf('dailymotion:x8abcd'), 'dailymotion');
+  assert.equal(videoUrl('dailymotion:x8abcd'), 'https://www.dailymotion.com/video/x8abcd');
+});
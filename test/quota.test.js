@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the meter's usage out of .data
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+process.env.QUOTA_USAGE_FILE = path.join(usageDir, 'youtube-quota.json');
+process.env.YOUTUBE_API_KEY = 'test-key';
+
+const quota = require('../lib/quota');
+const { nextResetAt, pacificDay } = quota;
+
+// The meter saves in the background, so clean up once it has finished
+process.on('exit', () => fs.rmSync(usageDir, { recursive: true, force: true }));
+
+test('the quota resets at the next midnight Pacific time', () => {
+  assert.equal(nextResetAt(new Date('2026-06-15T18:20:30.500Z')), '2026-06-16T07:00:00.000Z');
+  assert.equal(nextResetAt(new Date('2026-01-15T07:59:59.999Z')), '2026-01-15T08:00:00.000Z');
+  // A reset that just happened is a day away
+  assert.equal(nextResetAt(new Date('2026-01-15T08:00:00.000Z')), '2026-01-16T08:00:00.000Z');
+});
+
+test('the quota day is 23 hours long when daylight saving time starts', () => {
+  // Shortly after midnight PST on 8 March 2026
+  assert.equal(nextResetAt(new Date('2026-03-08T08:30:00Z')), '2026-03-09T07:00:00.000Z');
+  assert.equal(nextResetAt(new Date('2026-03-07T20:00:00Z')), '2026-03-08T08:00:00.000Z');
+});
+
+test('the quota day is 25 hours long when daylight saving time ends', () => {
+  // Shortly after midnight PDT on 1 November 2026
+  assert.equal(nextResetAt(new Date('2026-11-01T07:30:00Z')), '2026-11-02T08:00:00.000Z');
+  assert.equal(pacificDay(new Date('2026-11-02T07:30:00Z')), '2026-11-01');
+});
+
+test('scheduled scans that leave YouTube out skip the quota check', () => {
+  const uid = 'quota-test-user';
+  // Spend the user's whole daily allowance
+  while (quota.getRemaining(uid) > 0) {
+    quota.charge(uid, 'search.list');
+  }
+
+  assert.equal(quota.canRunScheduledScan(uid, ['youtube', 'dailymotion']), false);
+  assert.equal(quota.canRunScheduledScan(uid), false);
+  assert.equal(quota.canRunScheduledScan(uid, ['dailymotion']), true);
+});
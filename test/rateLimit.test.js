@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const { take, countActiveScans, holdScanSlot, limitScans } = require('../lib/rateLimit');
+
+function request(ip) {
+  return { ip, user: null };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+  };
+  return res;
+}
+
+// Runs limitScans and reports whether the request was let through
+function limit(req, res = response()) {
+  let passed = false;
+  limitScans(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+function runningJob() {
+  return { status: 'running', emitter: new EventEmitter() };
+}
+
+test('a bucket allows a burst, then refills over time', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  for (let i = 0; i < 10; i++) {
+    assert.equal(take(['ip:bucket'], now), 0);
+  }
+  // 30 per hour: one token every two minutes
+  assert.equal(take(['ip:bucket'], now), 120);
+  assert.equal(take(['ip:bucket'], now + 60 * 1000), 60);
+  assert.equal(take(['ip:bucket'], now + 120 * 1000), 0);
+});
+
+test('takes from every bucket or from none', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  for (let i = 0; i < 5; i++) {
+    assert.equal(take(['ip:shared', 'user:busy'], now), 0);
+  }
+  assert.ok(take(['ip:shared', 'user:busy'], now) > 0);
+  // The IP bucket was not charged for the refused request
+  for (let i = 0; i < 5; i++) {
+    assert.equal(take(['ip:shared'], now), 0);
+  }
+  assert.ok(take(['ip:shared'], now) > 0);
+});
+
+test('parallel requests cannot exceed the concurrent scan cap', () => {
+  const first = limit(request('10.0.0.1'));
+  const second = limit(request('10.0.0.1'));
+  const third = limit(request('10.0.0.1'));
+
+  assert.equal(first.passed, true);
+  assert.equal(second.passed, true);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.headers['Retry-After'], '30');
+  assert.equal(countActiveScans('ip:10.0.0.1'), 2);
+});
+
+test('a request that starts no scan gives its slot back', () => {
+  const { passed, res } = limit(request('10.0.0.2'));
+  assert.equal(passed, true);
+  assert.equal(countActiveScans('ip:10.0.0.2'), 1);
+
+  res.emit('close');
+  assert.equal(countActiveScans('ip:10.0.0.2'), 0);
+});
+
+test('a started scan keeps its slot until the job finishes', async () => {
+  const req = request('10.0.0.3');
+  const { res } = limit(req);
+  const job = runningJob();
+  holdScanSlot(req, job);
+
+  res.emit('close');
+  assert.equal(countActiveScans('ip:10.0.0.3'), 1);
+
+  job.status = 'completed';
+  job.emitter.emit('done');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(countActiveScans('ip:10.0.0.3'), 0);
+});
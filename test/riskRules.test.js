@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreVideos, crossCheck, fitScore, toRankedEntry } = require('../lib/riskRules');
+
+const work = {
+  title: 'Morning Light',
+  artist: 'Ada Lane',
+  channelIds: ['UCaaaaaaaaaaaaaaaaaaaaaa'],
+  channelTitle: 'Ada Lane Official',
+  releaseDate: '2024-03-01'
+};
+
+function video(videoId, fields) {
+  return { videoId, title: '', description: '', channelId: `UC${videoId}`, channelTitle: 'Someone', publishedAt: '2024-03-05', ...fields };
+}
+
+test('rates uploads by the owner channel Low', () => {
+  const verdicts = scoreVideos([video('v1', { title: 'Morning Light (Official Lyrics)', channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa' })], work, []);
+  const verdict = verdicts.get('v1');
+  assert.equal(verdict.risk, 'Low');
+  assert.deepEqual(verdict.signals, ['ownerChannel']);
+  assert.equal(verdict.prefiltered, true);
+});
+
+test('rates allowlisted channels Low and quotes the license notes', () => {
+  const verdicts = scoreVideos([video('v1', { title: 'Morning Light lyrics' })], work, [{ channelId: 'UCv1', notes: 'Label partner' }]);
+  assert.equal(verdicts.get('v1').risk, 'Low');
+  assert.match(verdicts.get('v1').rationale[0], /Label partner/);
+});
+
+test('rates a full lyric upload by another channel High', () => {
+  const verdict = scoreVideos([video('v1', { title: 'Morning Light - Ada Lane (Lyrics)', description: 'full song lyrics' })], work, []).get('v1');
+  assert.equal(verdict.risk, 'High');
+  assert.ok(verdict.signals.includes('exactTitle'));
+  assert.ok(verdict.signals.includes('reproductionKeyword'));
+  assert.ok(verdict.signals.includes('releaseProximity'));
+});
+
+test('rates covers and Shorts lower than copies', () => {
+  const score = fields => scoreVideos([video('v1', { title: 'Morning Light lyrics', publishedAt: '2025-01-01', ...fields })], work, []).get('v1').score;
+  const copy = score({});
+  assert.ok(score({ title: 'Morning Light piano cover' }) < copy);
+  assert.ok(score({ isShort: true }) < copy);
+});
+
+test('keeps scores inside the band of their risk level', () => {
+  assert.equal(fitScore(90, 'Medium'), 59);
+  assert.equal(fitScore(10, 'High'), 60);
+  assert.equal(fitScore(undefined, 'Low'), 17);
+});
+
+test('cross-check lowers model verdicts for owner channels and raises missed copies', () => {
+  const rules = scoreVideos([
+    video('owner', { title: 'Morning Light', channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa' }),
+    video('copy', { title: 'Morning Light - Ada Lane (Lyrics)', description: 'full song lyrics' })
+  ], work, []);
+
+  const owner = crossCheck({ videoId: 'owner', risk: 'High', score: 80, rationale: ['Looks official'] }, rules.get('owner'));
+  assert.equal(owner.risk, 'Low');
+  assert.ok(owner.score < 35);
+
+  const copy = crossCheck({ videoId: 'copy', risk: 'Low', score: 10, confidence: 0.9, rationale: ['Seems fine'] }, rules.get('copy'));
+  assert.equal(copy.risk, 'Medium');
+  assert.equal(copy.confidence, 0.7);
+});
+
+test('rule verdicts become ranked entries without the prefilter flag', () => {
+  const entry = toRankedEntry(scoreVideos([video('v1', { title: 'Morning Light lyrics' })], work, []).get('v1'), 'Model unavailable');
+  assert.equal(entry.source, 'rules');
+  assert.equal(entry.rationale[0], 'Model unavailable');
+  assert.equal('prefiltered' in entry, false);
+});